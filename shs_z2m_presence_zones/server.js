@@ -11,9 +11,16 @@ import express from 'express';
 import { createServer } from 'http';
 import { WebSocketServer, WebSocket } from 'ws';
 import mqtt from 'mqtt';
-import { readFileSync, writeFileSync, existsSync, mkdirSync } from 'fs';
+import {
+    readFileSync, writeFileSync, existsSync, mkdirSync, renameSync, readdirSync, statSync, unlinkSync,
+    openSync, readSync, closeSync, createReadStream, createWriteStream
+} from 'fs';
+import { createInterface } from 'readline';
+import { once } from 'events';
+import { timingSafeEqual } from 'crypto';
 import path from 'path';
 import { fileURLToPath } from 'url';
+import { ZoneManager } from './src/zoneManager.js';
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
 
@@ -25,6 +32,14 @@ const DATA_PATH = '/data/room_configs.json';
 const ROOM_CONFIGS_PATH = process.env.ROOM_CONFIGS_PATH ||
     (existsSync('/share') ? SHARE_PATH : DATA_PATH);
 const ROOM_CONFIGS_DIR = path.dirname(ROOM_CONFIGS_PATH);
+const ROOM_HISTORY_PATH = path.join(ROOM_CONFIGS_DIR, 'room_history.json');
+
+// Revision history limits per room
+// Saves closer together than the coalesce window (e.g. auto-save while
+// dragging) are kept as one revision after the save that started the burst,
+// so the layout from before the burst can always be restored
+const MAX_ROOM_REVISIONS = 30;
+const REVISION_COALESCE_MS = 60 * 1000;
 
 // Ensure the data directory exists
 function ensureDataDirectory() {
@@ -41,6 +56,16 @@ function ensureDataDirectory() {
 // Create data directory on startup
 ensureDataDirectory();
 
+/**
+ * Write a file atomically: write a temp file, then rename it over the target
+ * A crash mid-write leaves the previous file intact instead of a truncated one
+ */
+function writeFileAtomic(filePath, data) {
+    const tempPath = `${filePath}.tmp-${process.pid}`;
+    writeFileSync(tempPath, data, 'utf8');
+    renameSync(tempPath, filePath);
+}
+
 // Migrate data from /data/ to /share/ if needed
 function migrateDataToShare() {
     // Only migrate if we're using /share/ and old data exists in /data/
@@ -49,7 +74,7 @@ function migrateDataToShare() {
             console.log(`[STORAGE] Migrating data from ${DATA_PATH} to ${SHARE_PATH}`);
             const oldData = readFileSync(DATA_PATH, 'utf8');
             ensureDataDirectory();
-            writeFileSync(SHARE_PATH, oldData, 'utf8');
+            writeFileAtomic(SHARE_PATH, oldData);
             console.log(`[STORAGE] Migration successful!`);
         } catch (error) {
             console.error(`[STORAGE] Migration failed:`, error.message);
@@ -66,40 +91,174 @@ const CONFIG_PATH = process.env.CONFIG_PATH || '/data/options.json';
 // Load addon config
 let config = {
     mqtt_host: 'homeassistant.local',
+    mqtt_protocol: 'ws',
     mqtt_ws_port: 1884,
+    mqtt_port: null,
+    mqtt_ca_file: '',
+    mqtt_cert_file: '',
+    mqtt_key_file: '',
+    mqtt_tls_verify: true,
     mqtt_username: '',
-    mqtt_password: ''
+    mqtt_password: '',
+    z2m_base_topic: 'zigbee2mqtt',
+    admin_token: '',
+    viewer_token: '',
+    position_reporting_timeout: 15,
+    position_reporting_grace: 2,
+    recordings_max_mb: 200,
+    recordings_max_days: 30
 };
 
 function loadConfig() {
     try {
         if (existsSync(CONFIG_PATH)) {
             // Home Assistant addon mode: load from options.json
+            // Options missing from older installs keep their defaults
             const raw = readFileSync(CONFIG_PATH, 'utf8');
-            config = JSON.parse(raw);
+            config = { ...config, ...JSON.parse(raw) };
             console.log(`[CONFIG] Loaded from ${CONFIG_PATH}`);
         } else if (process.env.MQTT_HOST) {
             // Docker standalone mode: load from environment variables
             config = {
                 mqtt_host: process.env.MQTT_HOST,
+                mqtt_protocol: process.env.MQTT_PROTOCOL || 'ws',
                 mqtt_ws_port: parseInt(process.env.MQTT_WS_PORT) || 1884,
+                mqtt_port: parseInt(process.env.MQTT_PORT) || null,
+                mqtt_ca_file: process.env.MQTT_CA_FILE || '',
+                mqtt_cert_file: process.env.MQTT_CERT_FILE || '',
+                mqtt_key_file: process.env.MQTT_KEY_FILE || '',
+                mqtt_tls_verify: process.env.MQTT_TLS_VERIFY !== 'false',
                 mqtt_username: process.env.MQTT_USERNAME || '',
-                mqtt_password: process.env.MQTT_PASSWORD || ''
+                mqtt_password: process.env.MQTT_PASSWORD || '',
+                z2m_base_topic: process.env.Z2M_BASE_TOPIC || 'zigbee2mqtt',
+                admin_token: process.env.ADMIN_TOKEN || '',
+                viewer_token: process.env.VIEWER_TOKEN || '',
+                position_reporting_timeout: parseInt(process.env.POSITION_REPORTING_TIMEOUT ?? 15) || 0,
+                position_reporting_grace: parseInt(process.env.POSITION_REPORTING_GRACE ?? 2) || 0,
+                recordings_max_mb: parseInt(process.env.RECORDINGS_MAX_MB ?? 200) || 0,
+                recordings_max_days: parseInt(process.env.RECORDINGS_MAX_DAYS ?? 30) || 0
             };
             console.log(`[CONFIG] Loaded from environment variables`);
         } else {
             console.log(`[CONFIG] ${CONFIG_PATH} not found, using defaults`);
         }
-        console.log(`[CONFIG] MQTT Host: ${config.mqtt_host}`);
-        console.log(`[CONFIG] MQTT WS Port: ${config.mqtt_ws_port}`);
+        if (!MQTT_PROTOCOLS.includes(config.mqtt_protocol)) {
+            console.warn(`[CONFIG] Unknown MQTT protocol "${config.mqtt_protocol}" - using ws`);
+        }
+        console.log(`[CONFIG] MQTT Broker: ${getBrokerUrl()}`);
+        if (isBrokerTls()) {
+            console.log(`[CONFIG] MQTT TLS: CA ${config.mqtt_ca_file || '(system)'}, client certificate ${config.mqtt_cert_file || '(none)'}, verify ${config.mqtt_tls_verify !== false ? 'on' : 'off'}`);
+        }
         console.log(`[CONFIG] MQTT Username: ${config.mqtt_username ? '(set)' : '(not set)'}`);
+        console.log(`[CONFIG] Z2M Base Topic: ${config.z2m_base_topic}`);
+        console.log(`[CONFIG] Access tokens: ${config.admin_token ? `admin (set), viewer ${config.viewer_token ? '(set)' : '(not set)'}` : '(disabled)'}`);
+        console.log(`[CONFIG] Position reporting auto-off: ${config.position_reporting_timeout || 'never'} min, ${config.position_reporting_grace || 'no'} min grace after the last tab closes`);
+        console.log(`[CONFIG] Recordings kept: ${config.recordings_max_mb ? `${config.recordings_max_mb} MB` : 'no size limit'}, ${config.recordings_max_days ? `${config.recordings_max_days} days` : 'no age limit'}`);
     } catch (error) {
         console.error(`[CONFIG] Error loading config:`, error.message);
     }
 }
 
+const MQTT_PROTOCOLS = ['mqtt', 'mqtts', 'ws', 'wss'];
+
+function getBrokerProtocol() {
+    return MQTT_PROTOCOLS.includes(config.mqtt_protocol) ? config.mqtt_protocol : 'ws';
+}
+
+function isBrokerTls() {
+    return ['mqtts', 'wss'].includes(getBrokerProtocol());
+}
+
+/**
+ * Broker URL for the configured protocol
+ * Without mqtt_port, TCP uses the standard ports and WebSocket uses mqtt_ws_port
+ */
+function getBrokerUrl() {
+    const protocol = getBrokerProtocol();
+    const defaultPort = { mqtt: 1883, mqtts: 8883 }[protocol] || config.mqtt_ws_port;
+    return `${protocol}://${config.mqtt_host}:${config.mqtt_port || defaultPort}`;
+}
+
+/**
+ * TLS connect options - CA, client certificate and key are read from files
+ * Throws if a configured file can't be read
+ */
+function getBrokerTlsOptions() {
+    const options = { rejectUnauthorized: config.mqtt_tls_verify !== false };
+    if (config.mqtt_ca_file) options.ca = readFileSync(config.mqtt_ca_file);
+    if (config.mqtt_cert_file) options.cert = readFileSync(config.mqtt_cert_file);
+    if (config.mqtt_key_file) options.key = readFileSync(config.mqtt_key_file);
+    return options;
+}
+
 loadConfig();
 
+// ============================================================================
+// Access Control
+// ============================================================================
+// Optional token layer for installs where the port is reachable without
+// Home Assistant ingress. Disabled unless an admin token is configured.
+
+const TOKEN_COOKIE = 'shs_token';
+
+/**
+ * Compare two tokens without leaking timing information
+ */
+function tokensEqual(a, b) {
+    const bufA = Buffer.from(String(a));
+    const bufB = Buffer.from(String(b));
+    return bufA.length === bufB.length && timingSafeEqual(bufA, bufB);
+}
+
+/**
+ * Read the access token from a request (header, query string or cookie)
+ * Works for both Express requests and raw WebSocket upgrade requests
+ */
+function getRequestToken(req) {
+    const auth = req.headers.authorization || '';
+    if (auth.startsWith('Bearer ')) {
+        return auth.slice(7).trim();
+    }
+
+    const queryToken = new URL(req.url, 'http://localhost').searchParams.get('token');
+    if (queryToken) {
+        return queryToken;
+    }
+
+    const cookies = (req.headers.cookie || '').split(';');
+    for (const cookie of cookies) {
+        const [name, ...value] = cookie.trim().split('=');
+        if (name === TOKEN_COOKIE) {
+            return decodeURIComponent(value.join('='));
+        }
+    }
+
+    return null;
+}
+
+/**
+ * Resolve the access role for a request
+ * @returns {'admin'|'viewer'|null} - null when a token is required but missing or wrong
+ */
+function getRequestRole(req) {
+    if (!config.admin_token) {
+        return 'admin';
+    }
+
+    const token = getRequestToken(req);
+    if (!token) return null;
+    if (tokensEqual(token, config.admin_token)) return 'admin';
+    if (config.viewer_token && tokensEqual(token, config.viewer_token)) return 'viewer';
+    return null;
+}
+
+/**
+ * Hide access tokens before a URL is written to the logs
+ */
+function redactUrl(url) {
+    return url.replace(/([?&]token=)[^&]*/g, '$1***');
+}
+
 // ============================================================================
 // Room Configuration Storage Functions
 // ============================================================================
@@ -130,7 +289,7 @@ function saveRoomConfigs(configs) {
         ensureDataDirectory();
 
         const data = JSON.stringify(configs, null, 2);
-        writeFileSync(ROOM_CONFIGS_PATH, data, 'utf8');
+        writeFileAtomic(ROOM_CONFIGS_PATH, data);
         console.log(`[STORAGE] Saved ${Object.keys(configs).length} room configurations to ${ROOM_CONFIGS_PATH}`);
 
         // Verify the write was successful
@@ -152,8 +311,73 @@ function saveRoomConfigs(configs) {
     }
 }
 
-// In-memory cache of room configurations
+/**
+ * Load the revision history of all rooms from persistent storage
+ */
+function loadRoomHistory() {
+    try {
+        if (existsSync(ROOM_HISTORY_PATH)) {
+            const raw = readFileSync(ROOM_HISTORY_PATH, 'utf8');
+            return JSON.parse(raw);
+        }
+    } catch (error) {
+        console.error(`[STORAGE] Error loading room history:`, error.message);
+    }
+    return {};
+}
+
+/**
+ * Save the revision history of all rooms to persistent storage
+ */
+function saveRoomHistory(history) {
+    try {
+        ensureDataDirectory();
+        writeFileAtomic(ROOM_HISTORY_PATH, JSON.stringify(history));
+        return true;
+    } catch (error) {
+        console.error(`[STORAGE] Error saving room history:`, error.message);
+        return false;
+    }
+}
+
+/**
+ * Record a saved room configuration as a revision (newest first, bounded)
+ */
+function recordRoomRevision(roomName, config) {
+    const revisions = roomHistory[roomName] || [];
+    const newest = revisions[0];
+    const entry = {
+        revision: config.revision,
+        savedAt: config.lastModified,
+        config: JSON.parse(JSON.stringify(config))
+    };
+
+    if (config.restoredFrom) {
+        entry.restoredFrom = config.restoredFrom;
+    }
+
+    // Measure the window from the start of the burst so it doesn't slide forever
+    const burstStartedAt = newest?.burstStartedAt || newest?.savedAt;
+    const inBurst = newest && !newest.restoredFrom && !entry.restoredFrom &&
+        Date.parse(entry.savedAt) - Date.parse(burstStartedAt) < REVISION_COALESCE_MS;
+
+    if (inBurst) {
+        entry.burstStartedAt = burstStartedAt;
+    }
+    if (inBurst && newest.burstStartedAt) {
+        // Replace the previous save of the burst, never the one that started it
+        revisions[0] = entry;
+    } else {
+        revisions.unshift(entry);
+    }
+
+    roomHistory[roomName] = revisions.slice(0, MAX_ROOM_REVISIONS);
+    saveRoomHistory(roomHistory);
+}
+
+// In-memory cache of room configurations and their revision history
 let roomConfigs = loadRoomConfigs();
+let roomHistory = loadRoomHistory();
 
 // Express app
 const app = express();
@@ -164,26 +388,307 @@ app.use(express.json());
 
 // Request logging middleware
 app.use((req, res, next) => {
-    console.log(`[HTTP] ${req.method} ${req.url}`);
+    console.log(`[HTTP] ${req.method} ${redactUrl(req.url)}`);
+    next();
+});
+
+// Access control middleware - resolves the role for every request
+app.use((req, res, next) => {
+    const role = getRequestRole(req);
+    if (!role) {
+        console.log(`[AUTH] Rejected ${req.method} ${req.path} - missing or invalid token`);
+        return res.status(401).send('Access token required. Open this page with ?token=<your token>.');
+    }
+
+    // Remember a token passed in the query string so fetch() and /ws carry it
+    if (config.admin_token && req.query.token) {
+        res.cookie(TOKEN_COOKIE, req.query.token, { httpOnly: true, sameSite: 'strict' });
+    }
+
+    req.role = role;
     next();
 });
 
+/**
+ * Middleware for endpoints that change stored data (admin only)
+ */
+function requireAdmin(req, res, next) {
+    if (req.role !== 'admin') {
+        console.log(`[AUTH] Rejected ${req.method} ${req.path} - read-only access`);
+        return res.status(403).json({ error: 'Read-only access' });
+    }
+    next();
+}
+
 // Serve static files
 const staticPath = path.join(__dirname, 'www');
 console.log(`[SERVER] Serving static files from: ${staticPath}`);
 app.use(express.static(staticPath));
 
-// Serve config endpoint for frontend
-app.get('/config.json', (req, res) => {
-    res.json({
+/**
+ * Public view of the config - broker credentials never leave the server
+ */
+function getPublicConfig(role) {
+    return {
         mqtt: {
             host: config.mqtt_host,
-            wsPort: config.mqtt_ws_port,
-            username: config.mqtt_username,
-            password: config.mqtt_password
+            wsPort: config.mqtt_ws_port
+        },
+        access: { role }
+    };
+}
+
+// Serve config endpoint for frontend
+app.get('/config.json', (req, res) => {
+    res.json(getPublicConfig(req.role));
+});
+
+// ============================================================================
+// Room Configuration Schema
+// ============================================================================
+// Room document:
+//   zones:       { type: 0|1|2, zones: [ up to 5 zones ] }
+//     zone:      { enabled, shapeType: 'rectangle'|'polygon', x1, y1, x2, y2,
+//                  vertices: [{ x, y }] | null, zoneType: 'detection'|'interference' }
+//   annotations: { furniture: [{ id, type, x, y, width, height, rotation }],
+//                  entrances: [{ id, x, y, direction, label }],
+//                  edges:     [{ id, x1, y1, x2, y2 }] }
+//   mapRotation: 0|90|180|270
+//   mqttTopic:   string without MQTT wildcards
+//   deviceIeee:  string | null
+//   profiles:    [{ name, zones }]  named zone layouts (same shape as zones)
+//   schedule:    [{ profile, at: 'HH:MM' } | { profile, trigger: topic, payload? }]
+//   activeProfile: { name, since, source } | null  (owned by the server)
+// Enabled zones get the same range checks as ZoneManager.validateZone.
+
+const MAX_ZONES = 5;
+const ZONE_MODES = [0, 1, 2];
+const ZONE_SHAPES = ['rectangle', 'polygon'];
+const ZONE_TYPES = ['detection', 'interference'];
+const MAP_ROTATIONS = [0, 90, 180, 270];
+const SCHEDULE_TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+const zoneValidator = new ZoneManager(null);
+
+const isNumber = (value) => typeof value === 'number' && Number.isFinite(value);
+const isObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+/**
+ * Check that the listed fields of an object are finite numbers
+ */
+function requireNumbers(item, fields, prefix, errors) {
+    for (const field of fields) {
+        if (!isNumber(item[field])) {
+            errors.push({ field: `${prefix}.${field}`, message: `${field} must be a number` });
+        }
+    }
+}
+
+/**
+ * Validate one zone slot
+ */
+function validateZoneSchema(zone, prefix, errors) {
+    if (!isObject(zone)) {
+        errors.push({ field: prefix, message: 'Zone must be an object' });
+        return;
+    }
+
+    const before = errors.length;
+
+    if (zone.enabled !== undefined && typeof zone.enabled !== 'boolean') {
+        errors.push({ field: `${prefix}.enabled`, message: 'enabled must be true or false' });
+    }
+    if (zone.shapeType !== undefined && !ZONE_SHAPES.includes(zone.shapeType)) {
+        errors.push({ field: `${prefix}.shapeType`, message: `Unknown shape type "${zone.shapeType}"` });
+    }
+    if (zone.zoneType !== undefined && !ZONE_TYPES.includes(zone.zoneType)) {
+        errors.push({ field: `${prefix}.zoneType`, message: `Unknown zone type "${zone.zoneType}"` });
+    }
+    requireNumbers(zone, ['x1', 'y1', 'x2', 'y2'], prefix, errors);
+
+    if (zone.vertices !== undefined && zone.vertices !== null) {
+        if (!Array.isArray(zone.vertices)) {
+            errors.push({ field: `${prefix}.vertices`, message: 'vertices must be a list of points' });
+        } else {
+            zone.vertices.forEach((vertex, i) => {
+                if (!isObject(vertex) || !isNumber(vertex.x) || !isNumber(vertex.y)) {
+                    errors.push({ field: `${prefix}.vertices[${i}]`, message: 'Vertex needs numeric x and y' });
+                }
+            });
+        }
+    }
+
+    // Range checks only make sense once the shape itself is well-formed
+    if (!zone.enabled || errors.length > before) return;
+
+    for (const message of zoneValidator.validateZone(zone).errors) {
+        errors.push({ field: prefix, message });
+    }
+}
+
+/**
+ * Validate a zones object ({ type, zones }) of a room or profile
+ */
+function validateZonesSchema(zones, prefix, errors) {
+    if (!isObject(zones)) {
+        errors.push({ field: prefix, message: 'zones must be an object' });
+        return;
+    }
+    if (zones.type !== undefined && !ZONE_MODES.includes(zones.type)) {
+        errors.push({ field: `${prefix}.type`, message: 'Zone mode must be 0 (off), 1 (include) or 2 (exclude)' });
+    }
+    if (!Array.isArray(zones.zones)) {
+        errors.push({ field: `${prefix}.zones`, message: 'zones.zones must be a list' });
+    } else if (zones.zones.length > MAX_ZONES) {
+        errors.push({ field: `${prefix}.zones`, message: `At most ${MAX_ZONES} zones are supported` });
+    } else {
+        zones.zones.forEach((zone, i) => validateZoneSchema(zone, `${prefix}.zones[${i}]`, errors));
+    }
+}
+
+/**
+ * Validate the named zone profiles and the rules that switch between them
+ */
+function validateProfiles(room, errors) {
+    const names = [];
+
+    if (room.profiles !== undefined) {
+        if (!Array.isArray(room.profiles)) {
+            errors.push({ field: 'profiles', message: 'profiles must be a list' });
+        } else {
+            room.profiles.forEach((profile, i) => {
+                const prefix = `profiles[${i}]`;
+                if (!isObject(profile)) {
+                    errors.push({ field: prefix, message: 'Profile must be an object' });
+                    return;
+                }
+                if (typeof profile.name !== 'string' || !profile.name.trim()) {
+                    errors.push({ field: `${prefix}.name`, message: 'Profile needs a name' });
+                } else if (names.includes(profile.name)) {
+                    errors.push({ field: `${prefix}.name`, message: `Profile "${profile.name}" exists twice` });
+                } else {
+                    names.push(profile.name);
+                }
+                validateZonesSchema(profile.zones, `${prefix}.zones`, errors);
+            });
+        }
+    }
+
+    if (room.schedule !== undefined) {
+        if (!Array.isArray(room.schedule)) {
+            errors.push({ field: 'schedule', message: 'schedule must be a list' });
+            return;
+        }
+        room.schedule.forEach((rule, i) => {
+            const prefix = `schedule[${i}]`;
+            if (!isObject(rule)) {
+                errors.push({ field: prefix, message: 'Schedule rule must be an object' });
+                return;
+            }
+            if (!names.includes(rule.profile)) {
+                errors.push({ field: `${prefix}.profile`, message: `Unknown profile "${rule.profile}"` });
+            }
+            if (rule.at !== undefined) {
+                if (typeof rule.at !== 'string' || !SCHEDULE_TIME_PATTERN.test(rule.at)) {
+                    errors.push({ field: `${prefix}.at`, message: 'Time must be HH:MM (24 hour)' });
+                }
+            } else if (typeof rule.trigger !== 'string' || !rule.trigger.trim()) {
+                errors.push({ field: prefix, message: 'Rule needs a time (at) or a trigger topic' });
+            }
+            if (rule.payload !== undefined && typeof rule.payload !== 'string') {
+                errors.push({ field: `${prefix}.payload`, message: 'payload must be a string' });
+            }
+        });
+    }
+}
+
+/**
+ * Validate an annotation list (furniture, entrances or edges)
+ */
+function validateAnnotationList(items, name, numericFields, prefix, errors) {
+    if (items === undefined) return;
+    if (!Array.isArray(items)) {
+        errors.push({ field: `${prefix}.${name}`, message: `${name} must be a list` });
+        return;
+    }
+
+    items.forEach((item, i) => {
+        const itemPrefix = `${prefix}.${name}[${i}]`;
+        if (!isObject(item)) {
+            errors.push({ field: itemPrefix, message: 'Entry must be an object' });
+            return;
         }
+        if (typeof item.id !== 'string' || !item.id) {
+            errors.push({ field: `${itemPrefix}.id`, message: 'id must be a non-empty string' });
+        }
+        requireNumbers(item, numericFields, itemPrefix, errors);
     });
-});
+}
+
+/**
+ * Validate a room document
+ * @returns {Array<{field: string, message: string}>} Field-level errors (empty when valid)
+ */
+function validateRoomConfig(room) {
+    const errors = [];
+
+    // Zones
+    if (room.zones !== undefined) {
+        validateZonesSchema(room.zones, 'zones', errors);
+    }
+    validateProfiles(room, errors);
+
+    // Sensor settings from the settings panel, keyed by expose property
+    if (room.settings !== undefined) {
+        if (!isObject(room.settings)) {
+            errors.push({ field: 'settings', message: 'settings must be an object' });
+        } else {
+            Object.entries(room.settings).forEach(([property, value]) => {
+                if (!['number', 'string', 'boolean'].includes(typeof value)) {
+                    errors.push({ field: `settings.${property}`, message: 'Setting values must be numbers, strings or booleans' });
+                }
+            });
+        }
+    }
+
+    // Annotations
+    if (room.annotations !== undefined) {
+        if (!isObject(room.annotations)) {
+            errors.push({ field: 'annotations', message: 'annotations must be an object' });
+        } else {
+            const { furniture, entrances, edges } = room.annotations;
+            validateAnnotationList(furniture, 'furniture', ['x', 'y', 'width', 'height'], 'annotations', errors);
+            validateAnnotationList(entrances, 'entrances', ['x', 'y'], 'annotations', errors);
+            validateAnnotationList(edges, 'edges', ['x1', 'y1', 'x2', 'y2'], 'annotations', errors);
+
+            (Array.isArray(furniture) ? furniture : []).forEach((item, i) => {
+                if (!isObject(item)) return;
+                if (typeof item.type !== 'string' || !item.type) {
+                    errors.push({ field: `annotations.furniture[${i}].type`, message: 'type must be a non-empty string' });
+                }
+                if (isNumber(item.width) && isNumber(item.height) && (item.width <= 0 || item.height <= 0)) {
+                    errors.push({ field: `annotations.furniture[${i}]`, message: 'Furniture must have a positive size' });
+                }
+            });
+        }
+    }
+
+    // Map and device
+    if (room.mapRotation !== undefined && !MAP_ROTATIONS.includes(room.mapRotation)) {
+        errors.push({ field: 'mapRotation', message: 'mapRotation must be 0, 90, 180 or 270' });
+    }
+    if (room.mqttTopic !== undefined) {
+        if (typeof room.mqttTopic !== 'string') {
+            errors.push({ field: 'mqttTopic', message: 'mqttTopic must be a string' });
+        } else if (/[#+]/.test(room.mqttTopic)) {
+            errors.push({ field: 'mqttTopic', message: 'mqttTopic must not contain MQTT wildcards (+ or #)' });
+        }
+    }
+    if (room.deviceIeee !== undefined && room.deviceIeee !== null && typeof room.deviceIeee !== 'string') {
+        errors.push({ field: 'deviceIeee', message: 'deviceIeee must be a string' });
+    }
+
+    return errors;
+}
 
 // ============================================================================
 // Room Configuration API Endpoints
@@ -216,26 +721,54 @@ app.get('/api/rooms/:name', (req, res) => {
 
 /**
  * POST /api/rooms/:name - Save configuration for a specific room
+ * Clients send the revision they loaded as `baseRevision`; a stale save gets 409 with the current copy.
+ * A save without one counts as based on revision 0, so it can only create a room.
  */
-app.post('/api/rooms/:name', (req, res) => {
+app.post('/api/rooms/:name', requireAdmin, (req, res) => {
     const roomName = decodeURIComponent(req.params.name);
     const config = req.body;
 
-    if (!config || typeof config !== 'object') {
+    if (!isObject(config)) {
         console.log(`[API] POST /api/rooms/${roomName} - Invalid config`);
         return res.status(400).json({ error: 'Invalid configuration' });
     }
 
-    // Add timestamp
+    const errors = validateRoomConfig(config);
+    if (errors.length > 0) {
+        console.log(`[API] POST /api/rooms/${roomName} - Rejected: ${errors.map(e => `${e.field}: ${e.message}`).join('; ')}`);
+        return res.status(422).json({ error: 'Invalid room configuration', errors });
+    }
+
+    // Reject saves based on an older revision than the stored one
+    const currentRevision = roomConfigs[roomName]?.revision || 0;
+    const baseRevision = Number(config.baseRevision ?? 0);
+    delete config.baseRevision;
+
+    if (baseRevision !== currentRevision) {
+        console.log(`[API] POST /api/rooms/${roomName} - Conflict (based on revision ${baseRevision}, current ${currentRevision})`);
+        return res.status(409).json({
+            error: 'Room was changed by another client',
+            revision: currentRevision,
+            current: roomConfigs[roomName] || null
+        });
+    }
+
+    // Add timestamp and next revision number
     config.lastModified = new Date().toISOString();
+    config.revision = currentRevision + 1;
+    config.activeProfile = keepActiveProfile(config, roomConfigs[roomName]);
+    delete config.restoredFrom;
 
     // Save to in-memory cache
     roomConfigs[roomName] = config;
 
     // Persist to file
     if (saveRoomConfigs(roomConfigs)) {
-        console.log(`[API] POST /api/rooms/${roomName} - Saved successfully`);
-        res.json({ success: true, room: roomName });
+        recordRoomRevision(roomName, config);
+        syncProfileTriggers();
+        broadcastRoomChange(req, 'room_changed', roomName, config);
+        console.log(`[API] POST /api/rooms/${roomName} - Saved revision ${config.revision}`);
+        res.json({ success: true, room: roomName, revision: config.revision });
     } else {
         console.error(`[API] POST /api/rooms/${roomName} - Failed to save`);
         res.status(500).json({ error: 'Failed to save configuration' });
@@ -245,7 +778,7 @@ app.post('/api/rooms/:name', (req, res) => {
 /**
  * DELETE /api/rooms/:name - Delete configuration for a specific room
  */
-app.delete('/api/rooms/:name', (req, res) => {
+app.delete('/api/rooms/:name', requireAdmin, (req, res) => {
     const roomName = decodeURIComponent(req.params.name);
 
     if (!roomConfigs[roomName]) {
@@ -258,6 +791,10 @@ app.delete('/api/rooms/:name', (req, res) => {
 
     // Persist to file
     if (saveRoomConfigs(roomConfigs)) {
+        delete roomHistory[roomName];
+        saveRoomHistory(roomHistory);
+        syncProfileTriggers();
+        broadcastRoomChange(req, 'room_deleted', roomName);
         console.log(`[API] DELETE /api/rooms/${roomName} - Deleted successfully`);
         res.json({ success: true, room: roomName });
     } else {
@@ -267,142 +804,1822 @@ app.delete('/api/rooms/:name', (req, res) => {
 });
 
 /**
- * GET /api/rooms-all - Get all room configurations (for initial load/sync)
+ * Read and check the target name of a rename or copy
+ * @returns {{name?: string, error?: string, status?: number}}
  */
-app.get('/api/rooms-all', (req, res) => {
-    console.log(`[API] GET /api/rooms-all - Returning ${Object.keys(roomConfigs).length} rooms`);
-    res.json({ configs: roomConfigs });
-});
+function getTargetRoomName(req, sourceName) {
+    const name = typeof req.body?.name === 'string' ? req.body.name.trim() : '';
 
-// WebSocket server for frontend connections
-const wss = new WebSocketServer({ server, path: '/ws' });
+    if (!name) {
+        return { error: 'A new room name is required', status: 400 };
+    }
+    if (name === sourceName) {
+        return { error: 'The new name is the same as the current name', status: 400 };
+    }
+    if (roomConfigs[name]) {
+        return { error: `A room named "${name}" already exists`, status: 409 };
+    }
+    return { name };
+}
 
-// Log WebSocket upgrade attempts
-server.on('upgrade', (request, socket, head) => {
-    console.log(`[WS] Upgrade request for: ${request.url}`);
-});
+/**
+ * PATCH /api/rooms/:name - Rename a room (body: { name }), keeping its revision history
+ */
+app.patch('/api/rooms/:name', requireAdmin, (req, res) => {
+    const roomName = decodeURIComponent(req.params.name);
 
-// Track MQTT client and subscriptions
-let mqttClient = null;
-let currentTopic = null;
-const frontendClients = new Set();
+    if (!roomConfigs[roomName]) {
+        console.log(`[API] PATCH /api/rooms/${roomName} - Not found`);
+        return res.status(404).json({ error: 'Room not found' });
+    }
 
-// Connect to MQTT broker
-function connectMQTT(topic) {
-    if (!topic) {
-        console.log('[MQTT] No topic specified, skipping connection');
-        return;
+    const target = getTargetRoomName(req, roomName);
+    if (target.error) {
+        console.log(`[API] PATCH /api/rooms/${roomName} - ${target.error}`);
+        return res.status(target.status).json({ error: target.error });
     }
 
-    // Disconnect existing client if topic changed
-    if (mqttClient && currentTopic !== topic) {
-        console.log(`[MQTT] Topic changed from "${currentTopic}" to "${topic}", reconnecting...`);
-        mqttClient.end(true);
-        mqttClient = null;
+    const config = roomConfigs[roomName];
+    config.lastModified = new Date().toISOString();
+    roomConfigs[target.name] = config;
+    delete roomConfigs[roomName];
+
+    if (saveRoomConfigs(roomConfigs)) {
+        if (roomHistory[roomName]) {
+            roomHistory[target.name] = roomHistory[roomName];
+            delete roomHistory[roomName];
+            saveRoomHistory(roomHistory);
+        }
+        broadcastRoomChange(req, 'room_renamed', target.name, config, { oldName: roomName });
+        renameActiveRecordings(roomName, target.name);
+        syncProfileTriggers();
+        console.log(`[API] PATCH /api/rooms/${roomName} - Renamed to "${target.name}"`);
+        res.json({ success: true, room: target.name, config });
+    } else {
+        // Put the room back under its old name
+        roomConfigs[roomName] = config;
+        delete roomConfigs[target.name];
+        console.error(`[API] PATCH /api/rooms/${roomName} - Failed to save`);
+        res.status(500).json({ error: 'Failed to rename room' });
     }
+});
 
-    if (mqttClient) {
-        console.log('[MQTT] Already connected');
-        return;
+/**
+ * POST /api/rooms/:name/copy - Duplicate a room under a new name (body: { name })
+ */
+app.post('/api/rooms/:name/copy', requireAdmin, (req, res) => {
+    const roomName = decodeURIComponent(req.params.name);
+
+    if (!roomConfigs[roomName]) {
+        console.log(`[API] POST /api/rooms/${roomName}/copy - Not found`);
+        return res.status(404).json({ error: 'Room not found' });
     }
 
-    currentTopic = topic;
-    const brokerUrl = `ws://${config.mqtt_host}:${config.mqtt_ws_port}`;
+    const target = getTargetRoomName(req, roomName);
+    if (target.error) {
+        console.log(`[API] POST /api/rooms/${roomName}/copy - ${target.error}`);
+        return res.status(target.status).json({ error: target.error });
+    }
 
-    console.log(`[MQTT] Connecting to ${brokerUrl}...`);
+    // The copy starts its own history
+    const config = JSON.parse(JSON.stringify(roomConfigs[roomName]));
+    config.lastModified = new Date().toISOString();
+    config.revision = 1;
+    delete config.restoredFrom;
 
-    const options = {
-        clientId: `shs-z2m-server-${Math.random().toString(16).slice(2, 8)}`,
-        clean: true,
-        reconnectPeriod: 5000
-    };
+    roomConfigs[target.name] = config;
 
-    if (config.mqtt_username) {
-        options.username = config.mqtt_username;
-        options.password = config.mqtt_password;
-        console.log(`[MQTT] Using authentication as "${config.mqtt_username}"`);
+    if (saveRoomConfigs(roomConfigs)) {
+        recordRoomRevision(target.name, config);
+        syncProfileTriggers();
+        broadcastRoomChange(req, 'room_changed', target.name, config);
+        console.log(`[API] POST /api/rooms/${roomName}/copy - Copied to "${target.name}"`);
+        res.json({ success: true, room: target.name, config });
+    } else {
+        delete roomConfigs[target.name];
+        console.error(`[API] POST /api/rooms/${roomName}/copy - Failed to save`);
+        res.status(500).json({ error: 'Failed to copy room' });
     }
+});
 
-    mqttClient = mqtt.connect(brokerUrl, options);
+/**
+ * GET /api/rooms/:name/history - List saved revisions of a room (newest first)
+ */
+app.get('/api/rooms/:name/history', (req, res) => {
+    const roomName = decodeURIComponent(req.params.name);
 
-    mqttClient.on('connect', () => {
-        console.log(`[MQTT] Connected to broker`);
+    if (!roomConfigs[roomName]) {
+        console.log(`[API] GET /api/rooms/${roomName}/history - Not found`);
+        return res.status(404).json({ error: 'Room not found' });
+    }
 
-        // Subscribe to the sensor topic
-        mqttClient.subscribe(topic, (err) => {
-            if (err) {
-                console.error(`[MQTT] Subscribe error:`, err.message);
-            } else {
-                console.log(`[MQTT] Subscribed to: ${topic}`);
+    const revisions = roomHistory[roomName] || [];
+    console.log(`[API] GET /api/rooms/${roomName}/history - Found ${revisions.length} revisions`);
+    res.json({ room: roomName, revision: roomConfigs[roomName].revision || 0, revisions });
+});
+
+/**
+ * POST /api/rooms/:name/restore/:rev - Restore a revision as the newest revision
+ */
+app.post('/api/rooms/:name/restore/:rev', requireAdmin, (req, res) => {
+    const roomName = decodeURIComponent(req.params.name);
+    const rev = parseInt(req.params.rev, 10);
+
+    if (!roomConfigs[roomName]) {
+        console.log(`[API] POST /api/rooms/${roomName}/restore/${req.params.rev} - Room not found`);
+        return res.status(404).json({ error: 'Room not found' });
+    }
+
+    const entry = (roomHistory[roomName] || []).find(r => r.revision === rev);
+    if (!entry) {
+        console.log(`[API] POST /api/rooms/${roomName}/restore/${req.params.rev} - Revision not found`);
+        return res.status(404).json({ error: 'Revision not found' });
+    }
+
+    const config = JSON.parse(JSON.stringify(entry.config));
+    config.lastModified = new Date().toISOString();
+    config.revision = (roomConfigs[roomName].revision || 0) + 1;
+    config.restoredFrom = rev;
+    config.activeProfile = keepActiveProfile(config, roomConfigs[roomName]);
+
+    roomConfigs[roomName] = config;
+
+    if (saveRoomConfigs(roomConfigs)) {
+        recordRoomRevision(roomName, config);
+        syncProfileTriggers();
+        broadcastRoomChange(req, 'room_changed', roomName, config);
+        console.log(`[API] POST /api/rooms/${roomName}/restore/${rev} - Restored as revision ${config.revision}`);
+        res.json({ success: true, room: roomName, revision: config.revision, config });
+    } else {
+        console.error(`[API] POST /api/rooms/${roomName}/restore/${rev} - Failed to save`);
+        res.status(500).json({ error: 'Failed to restore revision' });
+    }
+});
+
+/**
+ * Tell every open tab that a room was saved, renamed or deleted.
+ * `source` is the X-Client-Id of the tab that made the change, so it can skip its own echo.
+ * `fields` are added to the message (e.g. the old name of a renamed room, or the
+ * source of a change made without a request).
+ */
+function broadcastRoomChange(req, type, roomName, config = null, fields = {}) {
+    // Changes the server makes by itself have no request
+    const message = { type, room: roomName, source: req?.get('X-Client-Id') || null, ...fields };
+    if (config) {
+        message.config = config;
+    }
+    broadcastToFrontend(message);
+}
+
+/**
+ * GET /api/rooms-all - Get all room configurations (for initial load/sync)
+ */
+app.get('/api/rooms-all', (req, res) => {
+    console.log(`[API] GET /api/rooms-all - Returning ${Object.keys(roomConfigs).length} rooms`);
+    res.json({ configs: roomConfigs });
+});
+
+// ============================================================================
+// Zone Profile API Endpoints
+// ============================================================================
+
+/**
+ * GET /api/rooms/:name/schedule - Active profile and the next scheduled switch
+ */
+app.get('/api/rooms/:name/schedule', (req, res) => {
+    const roomName = decodeURIComponent(req.params.name);
+    const room = roomConfigs[roomName];
+
+    if (!room) {
+        return res.status(404).json({ error: 'Room not found' });
+    }
+
+    const next = getNextScheduledSwitch(room, new Date());
+    res.json({
+        room: roomName,
+        activeProfile: room.activeProfile || null,
+        nextSwitch: next ? { profile: next.profile, at: next.at.toISOString() } : null
+    });
+});
+
+/**
+ * POST /api/rooms/:name/profiles/:profile/activate - Switch the room to a profile now
+ */
+app.post('/api/rooms/:name/profiles/:profile/activate', requireAdmin, (req, res) => {
+    const roomName = decodeURIComponent(req.params.name);
+    const profileName = decodeURIComponent(req.params.profile);
+    const room = roomConfigs[roomName];
+
+    if (!room) {
+        return res.status(404).json({ error: 'Room not found' });
+    }
+    if (!(room.profiles || []).some(profile => profile.name === profileName)) {
+        return res.status(404).json({ error: 'Profile not found' });
+    }
+
+    const config = activateProfile(roomName, profileName, 'manual', req.get('X-Client-Id') || null);
+    if (!config) {
+        return res.status(500).json({ error: 'Failed to activate profile' });
+    }
+    res.json({ success: true, room: roomName, revision: config.revision, config });
+});
+
+// ============================================================================
+// Device Discovery API Endpoints
+// ============================================================================
+
+/**
+ * GET /api/devices - List SHS01 devices discovered from the Zigbee2MQTT bridge
+ */
+app.get('/api/devices', (req, res) => {
+    const devices = getDiscoveredDevices();
+    console.log(`[API] GET /api/devices - Found ${devices.length} devices`);
+    res.json({ devices });
+});
+
+// ============================================================================
+// Recording API Endpoints
+// ============================================================================
+
+/**
+ * GET /api/recordings - List recorded sessions (optionally ?room=<name>)
+ */
+app.get('/api/recordings', (req, res) => {
+    const room = typeof req.query.room === 'string' ? req.query.room : null;
+    const recordings = listRecordings().filter(session => !room || session.room === room);
+    console.log(`[API] GET /api/recordings - Found ${recordings.length} sessions`);
+    res.json({ recordings, active: getActiveRecordings() });
+});
+
+/**
+ * POST /api/recordings - Start recording a room's sensor
+ * Body: { room }
+ */
+app.post('/api/recordings', requireAdmin, (req, res) => {
+    const roomName = typeof req.body?.room === 'string' ? req.body.room : '';
+    const room = roomConfigs[roomName];
+
+    if (!room) {
+        return res.status(404).json({ error: 'Room not found' });
+    }
+    if (!room.mqttTopic) {
+        return res.status(422).json({ error: 'Room has no MQTT topic to record' });
+    }
+    if ([...activeRecordings.values()].some(recording => recording.room === roomName)) {
+        return res.status(409).json({ error: 'Room is already being recorded' });
+    }
+
+    try {
+        const recording = startRecording(roomName, room.mqttTopic);
+        console.log(`[API] POST /api/recordings - Recording ${roomName} to ${recording.id}`);
+        res.json({ success: true, recording: describeActiveRecording(recording) });
+    } catch (error) {
+        console.error(`[API] POST /api/recordings - Failed:`, error.message);
+        res.status(500).json({ error: 'Failed to start recording' });
+    }
+});
+
+/**
+ * POST /api/recordings/:id/stop - Stop an active recording
+ */
+app.post('/api/recordings/:id/stop', requireAdmin, (req, res) => {
+    const recording = activeRecordings.get(req.params.id);
+    if (!recording) {
+        return res.status(404).json({ error: 'Recording not active' });
+    }
+
+    stopRecording(recording.id);
+    console.log(`[API] POST /api/recordings/${recording.id}/stop - Stopped after ${recording.messages} messages`);
+    res.json({ success: true, id: recording.id, messages: recording.messages });
+});
+
+/**
+ * GET /api/recordings/:id - Download a session (?format=ndjson or csv)
+ */
+app.get('/api/recordings/:id', async (req, res) => {
+    const id = req.params.id;
+    const file = getRecordingPath(id);
+    if (!RECORDING_ID_PATTERN.test(id) || !existsSync(file)) {
+        return res.status(404).json({ error: 'Recording not found' });
+    }
+
+    const format = req.query.format === 'csv' ? 'csv' : 'ndjson';
+    res.setHeader('Content-Disposition', `attachment; filename="${id}.${format}"`);
+
+    if (format === 'ndjson') {
+        res.setHeader('Content-Type', 'application/x-ndjson');
+        createReadStream(file).pipe(res);
+        return;
+    }
+
+    try {
+        res.setHeader('Content-Type', 'text/csv');
+        await writeRecordingCsv(file, res);
+    } catch (error) {
+        console.error(`[API] GET /api/recordings/${id} - CSV export failed:`, error.message);
+        res.destroy(error);
+    }
+});
+
+/**
+ * DELETE /api/recordings/:id - Delete a finished session
+ */
+app.delete('/api/recordings/:id', requireAdmin, (req, res) => {
+    const id = req.params.id;
+    const file = getRecordingPath(id);
+    if (!RECORDING_ID_PATTERN.test(id) || !existsSync(file)) {
+        return res.status(404).json({ error: 'Recording not found' });
+    }
+    if (activeRecordings.has(id)) {
+        return res.status(409).json({ error: 'Stop the recording before deleting it' });
+    }
+
+    try {
+        unlinkSync(file);
+        console.log(`[API] DELETE /api/recordings/${id} - Deleted`);
+        broadcastRecordings();
+        res.json({ success: true, id });
+    } catch (error) {
+        console.error(`[API] DELETE /api/recordings/${id} - Failed:`, error.message);
+        res.status(500).json({ error: 'Failed to delete recording' });
+    }
+});
+
+// WebSocket server for frontend connections
+const wss = new WebSocketServer({ server, path: '/ws' });
+
+// Log WebSocket upgrade attempts
+server.on('upgrade', (request, socket, head) => {
+    console.log(`[WS] Upgrade request for: ${redactUrl(request.url)}`);
+});
+
+// Shared MQTT client and per-client subscriptions
+// One long-lived broker connection serves every browser tab. Each frontend
+// WebSocket keeps its own set of topics, and the broker subscription for a
+// topic is reference counted across all clients (and the server itself) that
+// asked for it.
+let mqttClient = null;
+const frontendClients = new Map(); // WebSocket -> Set of subscribed topics
+const topicRefCounts = new Map();  // topic -> number of clients subscribed
+
+/**
+ * Check whether an MQTT topic matches a subscription filter (supports + and #)
+ */
+function topicMatches(filter, topic) {
+    if (filter === topic) return true;
+
+    const filterLevels = filter.split('/');
+    const topicLevels = topic.split('/');
+
+    for (let i = 0; i < filterLevels.length; i++) {
+        if (filterLevels[i] === '#') return true;
+        if (i >= topicLevels.length) return false;
+        if (filterLevels[i] !== '+' && filterLevels[i] !== topicLevels[i]) return false;
+    }
+
+    return filterLevels.length === topicLevels.length;
+}
+
+// Connect to MQTT broker (once, shared by all frontend clients)
+function connectMQTT() {
+    if (mqttClient) {
+        console.log('[MQTT] Already connected');
+        return;
+    }
+
+    const brokerUrl = getBrokerUrl();
+
+    console.log(`[MQTT] Connecting to ${brokerUrl}...`);
+
+    const options = {
+        clientId: `shs-z2m-server-${Math.random().toString(16).slice(2, 8)}`,
+        clean: true,
+        reconnectPeriod: 5000
+    };
+
+    if (config.mqtt_username) {
+        options.username = config.mqtt_username;
+        options.password = config.mqtt_password;
+        console.log(`[MQTT] Using authentication as "${config.mqtt_username}"`);
+    }
+
+    if (isBrokerTls()) {
+        try {
+            Object.assign(options, getBrokerTlsOptions());
+        } catch (error) {
+            console.error(`[MQTT] Cannot read TLS files - not connecting:`, error.message);
+            return;
+        }
+        if (!options.rejectUnauthorized) {
+            console.warn(`[MQTT] TLS certificate verification is disabled`);
+        }
+    }
+
+    mqttClient = mqtt.connect(brokerUrl, options);
+
+    mqttClient.on('connect', () => {
+        console.log(`[MQTT] Connected to broker`);
+
+        // Clean session - restore every topic still referenced by a client
+        topicRefCounts.forEach((count, topic) => {
+            subscribeBrokerTopic(topic);
+        });
+
+        // Device discovery from the Zigbee2MQTT bridge (retained message)
+        subscribeBrokerTopic(getBridgeDevicesTopic());
+
+        // Notify frontend clients
+        broadcastToFrontend({ type: 'mqtt_status', connected: true });
+
+        // Catch up on profile switches that came due while disconnected
+        checkProfileSchedules();
+    });
+
+    mqttClient.on('message', (msgTopic, payload, packet) => {
+        const raw = payload.toString();
+
+        // Retained messages are old news - they must not switch profiles on subscribe
+        const isTrigger = !packet.retain && handleProfileTrigger(msgTopic, raw);
+
+        // Bridge device list is consumed by the server, not forwarded
+        if (msgTopic === getBridgeDevicesTopic()) {
+            handleBridgeDevices(raw);
+            return;
+        }
+
+        // Zigbee2MQTT responses are only used to track zone applies
+        if (msgTopic === getBridgeResponseTopic()) {
+            handleBridgeResponse(raw);
+            return;
+        }
+
+        // Availability payloads may be a plain "online"/"offline" string
+        // Tabs get it through the device list and device_health messages
+        if (msgTopic.endsWith('/availability')) {
+            const availability = parseAvailability(raw);
+            handleDeviceAvailability(msgTopic, availability);
+            recordDeviceAvailability(msgTopic, availability);
+            return;
+        }
+
+        try {
+            const data = JSON.parse(raw);
+            console.log(`[MQTT] Message on ${msgTopic}:`, JSON.stringify(data).substring(0, 200));
+
+            if (isObject(data)) {
+                handleApplyStateMessage(msgTopic, data);
+                handleReportingState(msgTopic, data.position_reporting);
+                recordDeviceReport(msgTopic, data);
+                recordDeviceMessage(msgTopic, data);
+            }
+
+            // Forward only to frontend clients subscribed to this topic
+            broadcastToFrontend({ type: 'mqtt_message', topic: msgTopic, data }, msgTopic);
+        } catch (error) {
+            // Trigger topics may carry plain-text payloads
+            if (!isTrigger) {
+                console.error(`[MQTT] Parse error:`, error.message);
+            }
+        }
+    });
+
+    mqttClient.on('error', (error) => {
+        console.error(`[MQTT] Error:`, error.message);
+        broadcastToFrontend({ type: 'mqtt_status', connected: false, error: error.message });
+    });
+
+    mqttClient.on('close', () => {
+        console.log(`[MQTT] Disconnected`);
+        broadcastToFrontend({ type: 'mqtt_status', connected: false });
+    });
+
+    mqttClient.on('reconnect', () => {
+        console.log(`[MQTT] Reconnecting...`);
+        broadcastToFrontend({ type: 'mqtt_status', connected: false, reconnecting: true });
+    });
+
+    mqttClient.on('offline', () => {
+        console.log(`[MQTT] Offline`);
+    });
+}
+
+/**
+ * Subscribe the shared broker connection to a topic
+ */
+function subscribeBrokerTopic(topic) {
+    if (!mqttClient || !mqttClient.connected) return;
+
+    mqttClient.subscribe(topic, (err) => {
+        if (err) {
+            console.error(`[MQTT] Subscribe error:`, err.message);
+        } else {
+            console.log(`[MQTT] Subscribed to: ${topic}`);
+        }
+    });
+}
+
+/**
+ * Unsubscribe the shared broker connection from a topic
+ */
+function unsubscribeBrokerTopic(topic) {
+    if (!mqttClient || !mqttClient.connected) return;
+
+    mqttClient.unsubscribe(topic, (err) => {
+        if (err) {
+            console.error(`[MQTT] Unsubscribe error:`, err.message);
+        } else {
+            console.log(`[MQTT] Unsubscribed from: ${topic}`);
+        }
+    });
+}
+
+/**
+ * Take a reference on a topic for the shared broker connection
+ * The broker is only subscribed when the first reference is taken
+ */
+function acquireTopic(topic) {
+    const count = (topicRefCounts.get(topic) || 0) + 1;
+    topicRefCounts.set(topic, count);
+    console.log(`[MQTT] Topic "${topic}" now has ${count} subscriber(s)`);
+
+    if (count === 1) {
+        subscribeBrokerTopic(topic);
+    }
+}
+
+/**
+ * Release a reference on a topic
+ * The broker is only unsubscribed when the last reference is released
+ */
+function releaseTopic(topic) {
+    const count = (topicRefCounts.get(topic) || 1) - 1;
+    if (count > 0) {
+        topicRefCounts.set(topic, count);
+        console.log(`[MQTT] Topic "${topic}" now has ${count} subscriber(s)`);
+        return;
+    }
+
+    topicRefCounts.delete(topic);
+    unsubscribeBrokerTopic(topic);
+}
+
+/**
+ * Check whether a publish only asks a client's own device for its zone settings
+ * (`{ zone_config: '' }` to `<subscribed topic>/get`), the one publish viewers may send
+ */
+function isZoneConfigRequest(ws, topic, payload) {
+    if (typeof topic !== 'string' || !topic.endsWith('/get')) return false;
+    if (!frontendClients.get(ws)?.has(topic.slice(0, -'/get'.length))) return false;
+
+    return payload !== null && typeof payload === 'object' && !Array.isArray(payload) &&
+        Object.keys(payload).length === 1 && payload.zone_config === '';
+}
+
+/**
+ * Add a topic to a frontend client's subscriptions
+ */
+function subscribeClient(ws, topic) {
+    const topics = frontendClients.get(ws);
+    if (!topics || topics.has(topic)) return;
+
+    topics.add(topic);
+    acquireTopic(topic);
+    watchDeviceHealth(topic);
+}
+
+/**
+ * Remove a topic from a frontend client's subscriptions
+ */
+function unsubscribeClient(ws, topic) {
+    const topics = frontendClients.get(ws);
+    if (!topics || !topics.has(topic)) return;
+
+    topics.delete(topic);
+    releaseTopic(topic);
+    unwatchDeviceHealth(topic);
+}
+
+/**
+ * Remove a frontend client and release all of its subscriptions
+ */
+function removeFrontendClient(ws) {
+    const topics = frontendClients.get(ws);
+    if (!topics) return;
+
+    [...topics].forEach(topic => unsubscribeClient(ws, topic));
+    frontendClients.delete(ws);
+}
+
+// Broadcast message to frontend WebSocket clients
+// When a topic is given, only clients subscribed to that topic receive it
+function broadcastToFrontend(message, topic = null) {
+    const payload = JSON.stringify(message);
+    frontendClients.forEach((topics, client) => {
+        if (client.readyState !== WebSocket.OPEN) return;
+        if (topic && ![...topics].some(filter => topicMatches(filter, topic))) return;
+        client.send(payload);
+    });
+}
+
+// Publish message to MQTT
+// onError is called if the broker rejects the publish
+function publishToMQTT(topic, payload, onError = null) {
+    if (!mqttClient || !mqttClient.connected) {
+        console.error('[MQTT] Cannot publish - not connected');
+        return false;
+    }
+
+    console.log(`[MQTT] Publishing to ${topic}:`, JSON.stringify(payload).substring(0, 200));
+    mqttClient.publish(topic, JSON.stringify(payload), { retain: false }, (err) => {
+        if (err) {
+            console.error(`[MQTT] Publish error:`, err.message);
+            if (onError) onError(err);
+        }
+    });
+    return true;
+}
+
+// ============================================================================
+// Zigbee2MQTT Device Discovery
+// ============================================================================
+
+// Expose names unique to the SHS01 converter, used when the model is unknown
+const SHS01_MODEL = 'SHS01';
+const SHS01_EXPOSES = ['ld2450_target_count', 'position_reporting', 'zone1_occupied'];
+
+// Discovered SHS01 devices keyed by IEEE address
+const discoveredDevices = new Map();
+
+function getBridgeDevicesTopic() {
+    return `${config.z2m_base_topic}/bridge/devices`;
+}
+
+function getDeviceTopic(friendlyName) {
+    return `${config.z2m_base_topic}/${friendlyName}`;
+}
+
+/**
+ * Collect every expose name/property, including nested composite features
+ */
+function collectExposeNames(exposes, names = new Set()) {
+    (exposes || []).forEach(expose => {
+        if (expose.name) names.add(expose.name);
+        if (expose.property) names.add(expose.property);
+        if (expose.features) collectExposeNames(expose.features, names);
+    });
+    return names;
+}
+
+// Zones and position reporting have their own controls in the UI
+const SETTINGS_EXCLUDED = /^(zone_|zone\d+_|position_reporting$)/;
+const EXPOSE_ACCESS_SET = 0b010;
+
+/**
+ * Writable numeric, enum and binary exposes for the settings panel
+ * Composite exposes (zone_config) are left out
+ */
+function getDeviceSettings(exposes, settings = []) {
+    (exposes || []).forEach(expose => {
+        if (expose.type === 'composite') return;
+        if (expose.features) {
+            getDeviceSettings(expose.features, settings);
+            return;
+        }
+        if (!['numeric', 'enum', 'binary'].includes(expose.type) || !(expose.access & EXPOSE_ACCESS_SET)) return;
+        if (!expose.property || SETTINGS_EXCLUDED.test(expose.property)) return;
+
+        // Older Z2M versions have no label - "move_sensitivity" becomes "Move sensitivity"
+        const name = (expose.name || expose.property).replace(/_/g, ' ');
+        settings.push({
+            property: expose.property,
+            type: expose.type,
+            label: expose.label || name.charAt(0).toUpperCase() + name.slice(1),
+            description: expose.description || '',
+            unit: expose.unit,
+            min: expose.value_min,
+            max: expose.value_max,
+            step: expose.value_step,
+            values: expose.values,
+            valueOn: expose.value_on,
+            valueOff: expose.value_off
+        });
+    });
+    return settings;
+}
+
+/**
+ * Check whether a bridge device entry is an SHS01 sensor
+ */
+function isSHS01Device(device) {
+    const definition = device.definition || {};
+    if (definition.model === SHS01_MODEL || device.model_id === SHS01_MODEL) {
+        return true;
+    }
+
+    const names = collectExposeNames(definition.exposes);
+    return SHS01_EXPOSES.every(name => names.has(name));
+}
+
+/**
+ * Normalize an availability payload (JSON object or legacy plain string)
+ */
+function parseAvailability(raw) {
+    try {
+        const data = JSON.parse(raw);
+        if (data && typeof data === 'object') {
+            return data.state || 'unknown';
+        }
+        return String(data);
+    } catch (error) {
+        return raw.trim() || 'unknown';
+    }
+}
+
+/**
+ * Get discovered devices as a plain list for the API and frontend
+ */
+function getDiscoveredDevices() {
+    return [...discoveredDevices.values()].sort((a, b) => a.friendlyName.localeCompare(b.friendlyName));
+}
+
+/**
+ * Handle the retained device list published by the Zigbee2MQTT bridge
+ */
+function handleBridgeDevices(raw) {
+    let devices;
+    try {
+        devices = JSON.parse(raw);
+    } catch (error) {
+        console.error(`[DISCOVERY] Failed to parse bridge devices:`, error.message);
+        return;
+    }
+
+    if (!Array.isArray(devices)) return;
+
+    const previous = new Map(discoveredDevices);
+    discoveredDevices.clear();
+
+    devices.filter(isSHS01Device).forEach(device => {
+        const known = previous.get(device.ieee_address);
+        discoveredDevices.set(device.ieee_address, {
+            ieeeAddress: device.ieee_address,
+            friendlyName: device.friendly_name,
+            topic: getDeviceTopic(device.friendly_name),
+            model: device.definition?.model || device.model_id || null,
+            settings: getDeviceSettings(device.definition?.exposes),
+            availability: known && known.friendlyName === device.friendly_name ? known.availability : 'unknown'
+        });
+    });
+
+    console.log(`[DISCOVERY] Found ${discoveredDevices.size} SHS01 device(s)`);
+
+    // Keep availability subscriptions in step with the device list
+    previous.forEach(device => {
+        const current = discoveredDevices.get(device.ieeeAddress);
+        if (!current || current.topic !== device.topic) {
+            releaseTopic(`${device.topic}/availability`);
+        }
+    });
+    discoveredDevices.forEach(device => {
+        const known = previous.get(device.ieeeAddress);
+        if (!known || known.topic !== device.topic) {
+            acquireTopic(`${device.topic}/availability`);
+        }
+    });
+
+    followDeviceRenames(previous);
+
+    broadcastToFrontend({ type: 'devices', devices: getDiscoveredDevices() });
+}
+
+/**
+ * Track the online state of a discovered device
+ */
+function handleDeviceAvailability(topic, availability) {
+    const deviceTopic = topic.slice(0, -'/availability'.length);
+    for (const device of discoveredDevices.values()) {
+        if (device.topic === deviceTopic) {
+            if (device.availability !== availability) {
+                device.availability = availability;
+                console.log(`[DISCOVERY] ${device.friendlyName} is ${availability}`);
+                broadcastToFrontend({ type: 'devices', devices: getDiscoveredDevices() });
+            }
+            return;
+        }
+    }
+}
+
+/**
+ * Point rooms at the new topic when a device was renamed in Zigbee2MQTT
+ * Rooms are matched by their saved IEEE address, or by the device's old topic
+ */
+function followDeviceRenames(previous) {
+    const changedRooms = [];
+    const movedTopics = new Map(); // old topic -> new topic
+
+    Object.entries(roomConfigs).forEach(([roomName, room]) => {
+        let device = room.deviceIeee ? discoveredDevices.get(room.deviceIeee) : null;
+
+        if (!device) {
+            const old = [...previous.values()].find(d => d.topic === room.mqttTopic);
+            device = old ? discoveredDevices.get(old.ieeeAddress) : null;
+        }
+
+        if (!device || room.mqttTopic === device.topic) return;
+
+        // Saved as a new revision, so tabs holding the old topic get a conflict
+        const oldTopic = room.mqttTopic;
+        const config = JSON.parse(JSON.stringify(room));
+        config.mqttTopic = device.topic;
+        config.deviceIeee = device.ieeeAddress;
+        config.lastModified = new Date().toISOString();
+        config.revision = (room.revision || 0) + 1;
+        delete config.restoredFrom;
+        roomConfigs[roomName] = config;
+        changedRooms.push(roomName);
+        if (oldTopic) movedTopics.set(oldTopic, device.topic);
+
+        console.log(`[DISCOVERY] Room "${roomName}" follows rename: ${oldTopic} -> ${device.topic}`);
+        broadcastToFrontend({
+            type: 'device_renamed',
+            room: roomName,
+            ieeeAddress: device.ieeeAddress,
+            oldTopic,
+            newTopic: device.topic
+        });
+    });
+
+    if (changedRooms.length === 0) return;
+
+    if (saveRoomConfigs(roomConfigs)) {
+        changedRooms.forEach(roomName => {
+            recordRoomRevision(roomName, roomConfigs[roomName]);
+            broadcastRoomChange(null, 'room_changed', roomName, roomConfigs[roomName]);
+        });
+        syncProfileTriggers();
+    }
+
+    // Recordings and the position reporting watchdog follow the device
+    movedTopics.forEach((newTopic, oldTopic) => {
+        moveRecordingTopic(oldTopic, newTopic);
+        moveReportingWatchdog(oldTopic, newTopic);
+    });
+}
+
+// ============================================================================
+// Tracked Zone Apply
+// ============================================================================
+// Applying zones is an operation with a request id. The server publishes the
+// zone_config, asks the sensor to read it back, and watches the device state
+// for the echoed values and the bridge response topic for errors. Unconfirmed
+// attempts are retried; per-zone progress goes back to the requesting client
+// as `apply_progress` messages.
+
+const APPLY_ATTEMPT_TIMEOUT_MS = 6000;
+const APPLY_MAX_ATTEMPTS = 3;
+const applyOperations = new Map(); // device topic -> operation
+
+function getBridgeResponseTopic() {
+    return `${config.z2m_base_topic}/bridge/response`;
+}
+
+/**
+ * Start a tracked apply; a newer apply to the same device replaces an older one
+ * ws is the requesting client, or null for applies started by the server
+ */
+function startApplyOperation(ws, requestId, topic, payload) {
+    const expected = payload?.zone_config;
+    if (!requestId || !topic || !expected) {
+        ws?.send(JSON.stringify({ type: 'apply_progress', requestId, status: 'failed', error: 'Invalid apply request', zones: [] }));
+        return;
+    }
+
+    const previous = applyOperations.get(topic);
+    if (previous) {
+        finishApplyOperation(previous, 'cancelled', 'Replaced by a newer apply');
+    }
+
+    const expectedZones = zoneValidator.parseZoneConfigPayload(payload);
+    const operation = {
+        ws,
+        requestId,
+        topic,
+        payload,
+        expected: expectedZones,
+        attempt: 0,
+        timer: null,
+        zones: [
+            { zone: 'mode', status: 'pending' },
+            ...expectedZones.zones.map((_, index) => ({ zone: index + 1, status: 'pending' }))
+        ]
+    };
+
+    applyOperations.set(topic, operation);
+    acquireTopic(topic);
+    acquireTopic(getBridgeResponseTopic());
+
+    console.log(`[APPLY] ${requestId} - Applying zones to ${topic}`);
+    sendApplyAttempt(operation);
+}
+
+/**
+ * Publish the zone config (again) and wait for confirmation
+ */
+function sendApplyAttempt(operation) {
+    operation.attempt++;
+    reportApplyProgress(operation, operation.attempt === 1 ? 'pending' : 'retrying');
+
+    const published = publishToMQTT(`${operation.topic}/set`, operation.payload, (err) => {
+        finishApplyOperation(operation, 'failed', `Publish failed: ${err.message}`);
+    });
+    if (!published) {
+        finishApplyOperation(operation, 'failed', 'Not connected to MQTT broker');
+        return;
+    }
+
+    // Ask the sensor to report what it stored
+    publishToMQTT(`${operation.topic}/get`, { zone_config: '' });
+
+    operation.timer = setTimeout(() => {
+        if (operation.attempt < APPLY_MAX_ATTEMPTS) {
+            console.log(`[APPLY] ${operation.requestId} - No confirmation, retrying (attempt ${operation.attempt + 1}/${APPLY_MAX_ATTEMPTS})`);
+            sendApplyAttempt(operation);
+        } else {
+            // Whatever the sensor did report but didn't match is a mismatch; the rest timed out
+            operation.zones.forEach(zone => {
+                if (zone.status === 'pending') zone.status = 'timeout';
+            });
+            finishApplyOperation(operation, 'timeout', 'The sensor did not confirm every zone');
+        }
+    }, APPLY_ATTEMPT_TIMEOUT_MS);
+}
+
+/**
+ * Compare a device state message with the zones being applied
+ */
+function handleApplyStateMessage(topic, data) {
+    const operation = applyOperations.get(topic);
+    if (!operation) return;
+
+    const reported = zoneValidator.parseZoneConfigPayload(data);
+    if (!reported) return;
+
+    const { expected } = operation;
+    let changed = false;
+    const update = (entry, matches) => {
+        const status = matches ? 'confirmed' : 'mismatch';
+        if (entry.status !== status) {
+            entry.status = status;
+            changed = true;
+        }
+    };
+
+    if (reported.type !== null) {
+        update(operation.zones[0], reported.type === expected.type);
+    }
+    reported.zones.forEach((zone, index) => {
+        if (zone && expected.zones[index]) {
+            update(operation.zones[index + 1], zoneValidator.deviceZoneMatches(expected.zones[index], zone));
+        }
+    });
+
+    if (operation.zones.every(zone => zone.status === 'confirmed')) {
+        finishApplyOperation(operation, 'success');
+    } else if (changed) {
+        // A mismatch may just be the state from before the sensor stored the new zones
+        reportApplyProgress(operation, 'pending');
+    }
+}
+
+/**
+ * Fail the apply for a device when Zigbee2MQTT reports an error for it
+ */
+function handleBridgeResponse(raw) {
+    let response;
+    try {
+        response = JSON.parse(raw);
+    } catch (error) {
+        return;
+    }
+    if (response?.status !== 'error') return;
+
+    applyOperations.forEach(operation => {
+        // Zigbee2MQTT quotes the device name in its error messages
+        const friendlyName = operation.topic.slice(config.z2m_base_topic.length + 1);
+        const error = String(response.error || '');
+        if (response.transaction === operation.requestId || (friendlyName && error.includes(`'${friendlyName}'`))) {
+            operation.zones.forEach(zone => {
+                if (zone.status !== 'confirmed') zone.status = 'failed';
+            });
+            finishApplyOperation(operation, 'failed', error || 'Zigbee2MQTT reported an error');
+        }
+    });
+}
+
+/**
+ * Send the current per-zone state of an apply to the client that started it
+ * Applies started by the server itself (ws is null) are only logged
+ */
+function reportApplyProgress(operation, status, error = null) {
+    if (!operation.ws || operation.ws.readyState !== WebSocket.OPEN) return;
+
+    operation.ws.send(JSON.stringify({
+        type: 'apply_progress',
+        requestId: operation.requestId,
+        topic: operation.topic,
+        status,
+        attempt: operation.attempt,
+        maxAttempts: APPLY_MAX_ATTEMPTS,
+        zones: operation.zones,
+        error
+    }));
+}
+
+/**
+ * End an apply and release what it was watching
+ */
+function finishApplyOperation(operation, status, error = null) {
+    if (applyOperations.get(operation.topic) !== operation) return;
+
+    clearTimeout(operation.timer);
+    applyOperations.delete(operation.topic);
+    releaseTopic(operation.topic);
+    releaseTopic(getBridgeResponseTopic());
+
+    console.log(`[APPLY] ${operation.requestId} - ${status}${error ? `: ${error}` : ''}`);
+    reportApplyProgress(operation, status, error);
+}
+
+/**
+ * Drop the applies of a client that went away
+ */
+function cancelClientApplies(ws) {
+    applyOperations.forEach(operation => {
+        if (operation.ws === ws) {
+            finishApplyOperation(operation, 'cancelled', 'Client disconnected');
+        }
+    });
+}
+
+// ============================================================================
+// Zone Profile Scheduler
+// ============================================================================
+// A room can keep named zone profiles (e.g. "Day" and "Night") and schedule
+// rules that switch between them at a time of day (server local time) or
+// when a message arrives on a trigger topic. Switching copies the profile's
+// zones into the room as a new revision and applies them to the sensor with
+// a tracked apply. A time rule only fires when its time is newer than the
+// last switch, so a manual or triggered switch holds until the next rule.
+
+const PROFILE_CHECK_INTERVAL_MS = 30000;
+const profileTriggerTopics = new Set(); // Trigger topics the server holds a reference on
+
+/**
+ * Keep the server-owned active profile across a save, unless that profile was removed
+ */
+function keepActiveProfile(config, previous) {
+    const active = previous?.activeProfile;
+    if (!active || !(config.profiles || []).some(profile => profile.name === active.name)) {
+        return null;
+    }
+    return active;
+}
+
+/**
+ * Time rules of a room as { profile, minutes } sorted by time of day
+ */
+function getTimeRules(room) {
+    return (room.schedule || [])
+        .filter(rule => typeof rule.at === 'string' && SCHEDULE_TIME_PATTERN.test(rule.at))
+        .map(rule => {
+            const [hours, minutes] = rule.at.split(':').map(Number);
+            return { profile: rule.profile, minutes: hours * 60 + minutes };
+        })
+        .sort((a, b) => a.minutes - b.minutes);
+}
+
+/**
+ * Date of a time of day (minutes after midnight), `dayOffset` days from `now`
+ */
+function atMinutes(now, minutes, dayOffset = 0) {
+    const date = new Date(now);
+    date.setDate(date.getDate() + dayOffset);
+    date.setHours(Math.floor(minutes / 60), minutes % 60, 0, 0);
+    return date;
+}
+
+/**
+ * The most recent time rule at or before now (looking back into yesterday)
+ * @returns {{profile: string, at: Date} | null}
+ */
+function getLastScheduledSwitch(room, now) {
+    const rules = getTimeRules(room);
+    if (rules.length === 0) return null;
+
+    const nowMinutes = now.getHours() * 60 + now.getMinutes();
+    const today = rules.filter(rule => rule.minutes <= nowMinutes).pop();
+    if (today) {
+        return { profile: today.profile, at: atMinutes(now, today.minutes) };
+    }
+
+    const yesterday = rules[rules.length - 1];
+    return { profile: yesterday.profile, at: atMinutes(now, yesterday.minutes, -1) };
+}
+
+/**
+ * The next time rule after now (looking ahead into tomorrow)
+ * @returns {{profile: string, at: Date} | null}
+ */
+function getNextScheduledSwitch(room, now) {
+    const rules = getTimeRules(room);
+    if (rules.length === 0) return null;
+
+    const nowMinutes = now.getHours() * 60 + now.getMinutes();
+    const today = rules.find(rule => rule.minutes > nowMinutes);
+    if (today) {
+        return { profile: today.profile, at: atMinutes(now, today.minutes) };
+    }
+
+    return { profile: rules[0].profile, at: atMinutes(now, rules[0].minutes, 1) };
+}
+
+/**
+ * Switch a room to one of its profiles and send the zones to the sensor
+ * @param {string} source - 'schedule', 'trigger' or 'manual'
+ * @param {string|null} clientId - X-Client-Id of the tab that asked for it
+ * @returns {object|null} The saved room, or null on failure
+ */
+function activateProfile(roomName, profileName, source, clientId = null) {
+    const room = roomConfigs[roomName];
+    const profile = room?.profiles?.find(p => p.name === profileName);
+    if (!profile) return null;
+
+    const config = JSON.parse(JSON.stringify(room));
+    config.zones = JSON.parse(JSON.stringify(profile.zones));
+    config.activeProfile = { name: profileName, since: new Date().toISOString(), source };
+    config.lastModified = config.activeProfile.since;
+    config.revision = (room.revision || 0) + 1;
+    delete config.restoredFrom;
+
+    roomConfigs[roomName] = config;
+    if (!saveRoomConfigs(roomConfigs)) {
+        roomConfigs[roomName] = room;
+        console.error(`[PROFILE] Failed to save "${roomName}" with profile "${profileName}"`);
+        return null;
+    }
+
+    recordRoomRevision(roomName, config);
+    broadcastRoomChange(null, 'room_changed', roomName, config, { source: clientId });
+    console.log(`[PROFILE] "${roomName}" switched to "${profileName}" (${source})`);
+
+    if (config.mqttTopic) {
+        const requestId = `profile-${Date.now().toString(36)}`;
+        startApplyOperation(null, requestId, config.mqttTopic, zoneValidator.buildZoneConfigPayload(config.zones));
+    } else {
+        console.log(`[PROFILE] "${roomName}" has no MQTT topic - zones not sent`);
+    }
+    return config;
+}
+
+/**
+ * Apply the time rules that came due since each room's last switch
+ */
+function checkProfileSchedules() {
+    // Wait for the broker so the switch reaches the sensor
+    if (!mqttClient || !mqttClient.connected) return;
+
+    const now = new Date();
+
+    Object.entries(roomConfigs).forEach(([roomName, room]) => {
+        const due = getLastScheduledSwitch(room, now);
+        if (!due) return;
+
+        const since = Date.parse(room.activeProfile?.since) || 0;
+        if (due.at.getTime() <= since || room.activeProfile?.name === due.profile) return;
+
+        activateProfile(roomName, due.profile, 'schedule');
+    });
+}
+
+/**
+ * Hold a broker subscription on every trigger topic used by a schedule
+ */
+function syncProfileTriggers() {
+    const wanted = new Set();
+    Object.values(roomConfigs).forEach(room => {
+        (room.schedule || []).forEach(rule => {
+            if (typeof rule.trigger === 'string' && rule.trigger.trim()) {
+                wanted.add(rule.trigger.trim());
             }
         });
+    });
 
-        // Notify frontend clients
-        broadcastToFrontend({ type: 'mqtt_status', connected: true });
+    wanted.forEach(topic => {
+        if (!profileTriggerTopics.has(topic)) {
+            profileTriggerTopics.add(topic);
+            acquireTopic(topic);
+        }
+    });
+    [...profileTriggerTopics].forEach(topic => {
+        if (!wanted.has(topic)) {
+            profileTriggerTopics.delete(topic);
+            releaseTopic(topic);
+        }
     });
+}
 
-    mqttClient.on('message', (msgTopic, payload) => {
-        try {
-            const data = JSON.parse(payload.toString());
-            console.log(`[MQTT] Message on ${msgTopic}:`, JSON.stringify(data).substring(0, 200));
+/**
+ * Check whether a trigger message matches a rule's payload
+ * Without a payload any message matches. Otherwise the message must equal it,
+ * or be a JSON object with a property of that value (e.g. {"action": "double"}).
+ */
+function triggerPayloadMatches(expected, raw) {
+    if (expected === undefined || expected === '') return true;
+    if (raw.trim() === expected) return true;
 
-            // Forward to frontend clients
-            broadcastToFrontend({ type: 'mqtt_message', topic: msgTopic, data });
-        } catch (error) {
-            console.error(`[MQTT] Parse error:`, error.message);
+    try {
+        const data = JSON.parse(raw);
+        return isObject(data) && Object.values(data).some(value => String(value) === expected);
+    } catch {
+        return false;
+    }
+}
+
+/**
+ * Switch rooms whose trigger rules match an incoming message
+ * @returns {boolean} True if the topic is a trigger topic
+ */
+function handleProfileTrigger(msgTopic, raw) {
+    if (![...profileTriggerTopics].some(filter => topicMatches(filter, msgTopic))) return false;
+
+    Object.entries(roomConfigs).forEach(([roomName, room]) => {
+        const rule = (room.schedule || []).find(r =>
+            typeof r.trigger === 'string' &&
+            topicMatches(r.trigger.trim(), msgTopic) &&
+            triggerPayloadMatches(r.payload, raw));
+
+        if (rule && room.activeProfile?.name !== rule.profile) {
+            activateProfile(roomName, rule.profile, 'trigger');
         }
     });
+    return true;
+}
 
-    mqttClient.on('error', (error) => {
-        console.error(`[MQTT] Error:`, error.message);
-        broadcastToFrontend({ type: 'mqtt_status', connected: false, error: error.message });
+// ============================================================================
+// Session Recording
+// ============================================================================
+// Recording a room writes every parsed message from its sensor to an NDJSON
+// session file next to the room configs (under /share on Home Assistant).
+// The first line describes the session; every other line is
+// {"t": <ISO time>, "data": <device message>}. The server holds the device
+// topic while recording, so a session keeps going with no tab open.
+// Finished sessions are deleted oldest first beyond recordings_max_mb or
+// recordings_max_days; if active sessions alone exceed the size limit they
+// are stopped.
+
+const RECORDINGS_DIR = path.join(ROOM_CONFIGS_DIR, 'recordings');
+const RECORDING_ID_PATTERN = /^[\w-]+$/;
+const RECORDING_RETENTION_CHECK_MS = 60000;
+const activeRecordings = new Map(); // session id -> recording
+
+function getRecordingPath(id) {
+    return path.join(RECORDINGS_DIR, `${id}.ndjson`);
+}
+
+/**
+ * Read the session line at the start of a recording
+ */
+function readRecordingHeader(file) {
+    const fd = openSync(file, 'r');
+    try {
+        const buffer = Buffer.alloc(4096);
+        const length = readSync(fd, buffer, 0, buffer.length, 0);
+        return JSON.parse(buffer.toString('utf8', 0, length).split('\n')[0]);
+    } finally {
+        closeSync(fd);
+    }
+}
+
+/**
+ * Sessions on disk, newest first
+ */
+function listRecordings() {
+    if (!existsSync(RECORDINGS_DIR)) return [];
+
+    return readdirSync(RECORDINGS_DIR)
+        .filter(name => name.endsWith('.ndjson'))
+        .map(name => {
+            const id = name.slice(0, -'.ndjson'.length);
+            try {
+                const header = readRecordingHeader(getRecordingPath(id));
+                const stats = statSync(getRecordingPath(id));
+                const active = activeRecordings.get(id);
+                return {
+                    id,
+                    room: active?.room ?? header.room,
+                    topic: header.topic,
+                    startedAt: header.startedAt,
+                    endedAt: active ? null : stats.mtime.toISOString(),
+                    size: stats.size,
+                    active: Boolean(active)
+                };
+            } catch (error) {
+                console.error(`[RECORDING] Skipping unreadable session ${name}:`, error.message);
+                return null;
+            }
+        })
+        .filter(Boolean)
+        .sort((a, b) => b.startedAt.localeCompare(a.startedAt));
+}
+
+function describeActiveRecording(recording) {
+    return {
+        id: recording.id,
+        room: recording.room,
+        topic: recording.topic,
+        startedAt: recording.startedAt,
+        messages: recording.messages
+    };
+}
+
+function getActiveRecordings() {
+    return [...activeRecordings.values()].map(describeActiveRecording);
+}
+
+function writeRecordingLine(recording, value) {
+    recording.stream.write(JSON.stringify(value) + '\n');
+}
+
+/**
+ * Open a new session file for a room and hold its device topic
+ */
+function startRecording(roomName, topic) {
+    const startedAt = new Date().toISOString();
+    const slug = roomName.replace(/[^\w-]+/g, '_').slice(0, 40) || 'room';
+    const id = `${startedAt.replace(/[:.]/g, '-')}_${slug}`;
+
+    mkdirSync(RECORDINGS_DIR, { recursive: true });
+    const recording = {
+        id,
+        room: roomName,
+        topic,
+        startedAt,
+        messages: 0,
+        stream: createWriteStream(getRecordingPath(id), { flags: 'a' })
+    };
+    recording.stream.on('error', (error) => {
+        console.error(`[RECORDING] Write failed for ${id}:`, error.message);
+        stopRecording(id);
     });
 
-    mqttClient.on('close', () => {
-        console.log(`[MQTT] Disconnected`);
-        broadcastToFrontend({ type: 'mqtt_status', connected: false });
+    writeRecordingLine(recording, { type: 'session', room: roomName, topic, startedAt });
+    activeRecordings.set(id, recording);
+    acquireTopic(topic);
+    console.log(`[RECORDING] Started ${id} (${topic})`);
+
+    enforceRecordingRetention();
+    broadcastRecordings();
+    return recording;
+}
+
+function stopRecording(id) {
+    const recording = activeRecordings.get(id);
+    if (!recording) return;
+
+    activeRecordings.delete(id);
+    recording.stream.end();
+    releaseTopic(recording.topic);
+    console.log(`[RECORDING] Stopped ${id} after ${recording.messages} messages`);
+    broadcastRecordings();
+}
+
+/**
+ * Keep recording a device after Zigbee2MQTT renamed it
+ */
+function moveRecordingTopic(oldTopic, newTopic) {
+    activeRecordings.forEach(recording => {
+        if (recording.topic !== oldTopic) return;
+        acquireTopic(newTopic);
+        releaseTopic(oldTopic);
+        recording.topic = newTopic;
+        console.log(`[RECORDING] ${recording.id} follows rename: ${oldTopic} -> ${newTopic}`);
     });
+}
 
-    mqttClient.on('reconnect', () => {
-        console.log(`[MQTT] Reconnecting...`);
-        broadcastToFrontend({ type: 'mqtt_status', connected: false, reconnecting: true });
+/**
+ * Append a parsed device message to every session recording its topic
+ */
+function recordDeviceMessage(topic, data) {
+    activeRecordings.forEach(recording => {
+        if (recording.topic !== topic) return;
+        writeRecordingLine(recording, { t: new Date().toISOString(), data });
+        recording.messages++;
     });
+}
 
-    mqttClient.on('offline', () => {
-        console.log(`[MQTT] Offline`);
+/**
+ * Delete finished sessions beyond the size and age limits
+ */
+function enforceRecordingRetention() {
+    const maxBytes = (Number(config.recordings_max_mb) || 0) * 1024 * 1024;
+    const maxAgeMs = (Number(config.recordings_max_days) || 0) * 86400000;
+    if (!maxBytes && !maxAgeMs) return;
+
+    let total = 0;
+    listRecordings().forEach(session => {
+        total += session.size;
+        if (session.active) return;
+
+        const tooOld = maxAgeMs && Date.now() - Date.parse(session.endedAt) > maxAgeMs;
+        const tooBig = maxBytes && total > maxBytes;
+        if (!tooOld && !tooBig) return;
+
+        try {
+            unlinkSync(getRecordingPath(session.id));
+            total -= session.size;
+            console.log(`[RECORDING] Deleted ${session.id} (${tooOld ? 'older than the age limit' : 'over the size limit'})`);
+        } catch (error) {
+            console.error(`[RECORDING] Failed to delete ${session.id}:`, error.message);
+        }
     });
+
+    if (maxBytes && total > maxBytes) {
+        activeRecordings.forEach(recording => {
+            console.warn(`[RECORDING] Size limit reached - stopping ${recording.id}`);
+            stopRecording(recording.id);
+        });
+    }
 }
 
-// Broadcast message to all frontend WebSocket clients
-function broadcastToFrontend(message) {
-    const payload = JSON.stringify(message);
-    frontendClients.forEach(client => {
-        if (client.readyState === WebSocket.OPEN) {
-            client.send(payload);
+/**
+ * Device messages of a session; a partly written last line is skipped
+ */
+async function* readRecordingEntries(file) {
+    const lines = createInterface({ input: createReadStream(file), crlfDelay: Infinity });
+    for await (const line of lines) {
+        let entry;
+        try {
+            entry = JSON.parse(line);
+        } catch (error) {
+            continue;
+        }
+        if (entry.t && isObject(entry.data)) yield entry;
+    }
+}
+
+function toCsvCell(value) {
+    if (value === undefined || value === null) return '';
+    const text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Write a session as CSV: a time column plus one column per message property
+ * The file is read twice - once to collect the columns, once for the rows
+ */
+async function writeRecordingCsv(file, res) {
+    const columns = new Set();
+    for await (const entry of readRecordingEntries(file)) {
+        Object.keys(entry.data).forEach(key => columns.add(key));
+    }
+
+    const write = async (cells) => {
+        if (!res.write(cells.map(toCsvCell).join(',') + '\n')) {
+            await once(res, 'drain');
+        }
+    };
+
+    await write(['time', ...columns]);
+    for await (const entry of readRecordingEntries(file)) {
+        await write([entry.t, ...[...columns].map(key => entry.data[key])]);
+    }
+    res.end();
+}
+
+/**
+ * Keep sessions being recorded under a room's new name
+ * The file header keeps the name the session started with
+ */
+function renameActiveRecordings(oldName, newName) {
+    let renamed = 0;
+    activeRecordings.forEach(recording => {
+        if (recording.room === oldName) {
+            recording.room = newName;
+            renamed++;
         }
     });
+    if (renamed > 0) {
+        broadcastRecordings();
+    }
 }
 
-// Publish message to MQTT
-function publishToMQTT(topic, payload) {
-    if (!mqttClient || !mqttClient.connected) {
-        console.error('[MQTT] Cannot publish - not connected');
-        return false;
+function broadcastRecordings() {
+    broadcastToFrontend({ type: 'recordings_changed', active: getActiveRecordings() });
+}
+
+// ============================================================================
+// Device Link Health
+// ============================================================================
+// A working broker connection says nothing about the sensor itself. For each
+// device topic a tab has open, the server follows `<topic>/availability` and
+// the linkquality / last_seen fields of the device's reports, and counts the
+// reports for a message rate. Tabs get `device_health` messages.
+
+const HEALTH_RATE_WINDOW_MS = 60000;
+const HEALTH_BROADCAST_MS = 5000;
+const deviceHealth = new Map(); // device topic -> link health
+
+/**
+ * Start following a device topic (one reference per subscribed tab)
+ */
+function watchDeviceHealth(topic) {
+    if (topic.includes('+') || topic.includes('#')) return;
+
+    let health = deviceHealth.get(topic);
+    if (!health) {
+        // Discovery may already hold the availability topic, so its retained
+        // message won't be delivered again
+        const device = getDiscoveredDevices().find(d => d.topic === topic);
+        health = {
+            topic,
+            refs: 0,
+            availability: device?.availability || 'unknown',
+            linkquality: null,
+            lastSeen: null,
+            lastMessageAt: null,
+            messageTimes: []
+        };
+        deviceHealth.set(topic, health);
+        acquireTopic(`${topic}/availability`);
     }
+    health.refs++;
+}
 
-    console.log(`[MQTT] Publishing to ${topic}:`, JSON.stringify(payload).substring(0, 200));
-    mqttClient.publish(topic, JSON.stringify(payload), { retain: false }, (err) => {
-        if (err) {
-            console.error(`[MQTT] Publish error:`, err.message);
+/**
+ * Drop a reference; the availability topic is released with the last one
+ */
+function unwatchDeviceHealth(topic) {
+    const health = deviceHealth.get(topic);
+    if (!health || --health.refs > 0) return;
+
+    deviceHealth.delete(topic);
+    releaseTopic(`${topic}/availability`);
+}
+
+/**
+ * Note a report from the device
+ */
+function recordDeviceReport(topic, data) {
+    const health = deviceHealth.get(topic);
+    if (!health) return;
+
+    const now = Date.now();
+    health.lastMessageAt = now;
+    health.messageTimes.push(now);
+    if (typeof data.linkquality === 'number') {
+        health.linkquality = data.linkquality;
+    }
+    // last_seen is an ISO string or epoch ms depending on the Z2M setting
+    if (data.last_seen !== undefined && data.last_seen !== null) {
+        const lastSeen = new Date(data.last_seen);
+        if (!isNaN(lastSeen)) health.lastSeen = lastSeen.toISOString();
+    }
+}
+
+function recordDeviceAvailability(availabilityTopic, availability) {
+    const topic = availabilityTopic.slice(0, -'/availability'.length);
+    const health = deviceHealth.get(topic);
+    if (!health || health.availability === availability) return;
+
+    health.availability = availability;
+    broadcastToFrontend(getDeviceHealthStatus(topic), topic);
+}
+
+/**
+ * Current link health of a device as sent to tabs
+ * Ages are relative so tabs don't depend on the server's clock
+ */
+function getDeviceHealthStatus(topic) {
+    const health = deviceHealth.get(topic);
+    if (!health) {
+        return { type: 'device_health', topic, availability: 'unknown', linkquality: null, lastSeen: null, lastMessageAge: null, messagesPerMinute: 0 };
+    }
+
+    const now = Date.now();
+    health.messageTimes = health.messageTimes.filter(time => time > now - HEALTH_RATE_WINDOW_MS);
+    return {
+        type: 'device_health',
+        topic,
+        availability: health.availability,
+        linkquality: health.linkquality,
+        lastSeen: health.lastSeen,
+        lastMessageAge: health.lastMessageAt === null ? null : now - health.lastMessageAt,
+        messagesPerMinute: health.messageTimes.length
+    };
+}
+
+function broadcastAllDeviceHealth() {
+    deviceHealth.forEach((health, topic) => {
+        broadcastToFrontend(getDeviceHealthStatus(topic), topic);
+    });
+}
+
+// ============================================================================
+// Position Reporting Watchdog
+// ============================================================================
+// Position reporting floods the Zigbee network, so the server turns it off on
+// its own: `position_reporting_timeout` minutes after it was switched on (or
+// last kept on), or `position_reporting_grace` minutes after the last
+// frontend tab disconnected, whichever comes first. 0 disables either rule.
+// Subscribed tabs get `reporting_watchdog` messages to show a countdown.
+
+const WATCHDOG_OFF_RETRY_MS = 60000;
+const WATCHDOG_OFF_ATTEMPTS = 3;
+const reportingWatchdogs = new Map(); // device topic -> watchdog
+
+function getReportingTimeoutMs() {
+    return (Number(config.position_reporting_timeout) || 0) * 60000;
+}
+
+function getReportingGraceMs() {
+    return (Number(config.position_reporting_grace) || 0) * 60000;
+}
+
+/**
+ * Start watching a device that has position reporting on, or restart its timeout
+ */
+function startReportingWatchdog(topic) {
+    if (!getReportingTimeoutMs() && !getReportingGraceMs()) return;
+
+    let watchdog = reportingWatchdogs.get(topic);
+    if (!watchdog) {
+        watchdog = { topic, enabledAt: Date.now(), deadline: null, graceDeadline: null, offAttempts: 0, timer: null };
+        reportingWatchdogs.set(topic, watchdog);
+        // Hold the device topic to see it confirm the switch-off
+        acquireTopic(topic);
+        console.log(`[WATCHDOG] Position reporting on for ${topic}`);
+    }
+
+    watchdog.deadline = getReportingTimeoutMs() ? Date.now() + getReportingTimeoutMs() : null;
+    watchdog.offAttempts = 0;
+    if (frontendClients.size === 0 && getReportingGraceMs() && !watchdog.graceDeadline) {
+        watchdog.graceDeadline = Date.now() + getReportingGraceMs();
+    }
+    scheduleReportingWatchdog(watchdog);
+}
+
+/**
+ * Stop watching a device (reporting was switched off)
+ */
+function stopReportingWatchdog(topic) {
+    const watchdog = reportingWatchdogs.get(topic);
+    if (!watchdog) return;
+
+    clearTimeout(watchdog.timer);
+    reportingWatchdogs.delete(topic);
+    releaseTopic(topic);
+    console.log(`[WATCHDOG] Position reporting off for ${topic}`);
+    broadcastReportingWatchdog(topic);
+}
+
+/**
+ * Keep watching a device after Zigbee2MQTT renamed it
+ */
+function moveReportingWatchdog(oldTopic, newTopic) {
+    const watchdog = reportingWatchdogs.get(oldTopic);
+    if (!watchdog) return;
+
+    reportingWatchdogs.delete(oldTopic);
+    releaseTopic(oldTopic);
+    broadcastReportingWatchdog(oldTopic);
+
+    // Already watched under the new name
+    if (reportingWatchdogs.has(newTopic)) {
+        clearTimeout(watchdog.timer);
+        return;
+    }
+
+    watchdog.topic = newTopic;
+    reportingWatchdogs.set(newTopic, watchdog);
+    acquireTopic(newTopic);
+    console.log(`[WATCHDOG] Follows rename: ${oldTopic} -> ${newTopic}`);
+    scheduleReportingWatchdog(watchdog);
+}
+
+/**
+ * Arm the timer for whichever deadline comes first
+ */
+function scheduleReportingWatchdog(watchdog) {
+    clearTimeout(watchdog.timer);
+
+    const due = Math.min(watchdog.deadline ?? Infinity, watchdog.graceDeadline ?? Infinity);
+    if (due !== Infinity) {
+        watchdog.timer = setTimeout(() => expireReportingWatchdog(watchdog), Math.max(0, due - Date.now()));
+    }
+    broadcastReportingWatchdog(watchdog.topic);
+}
+
+/**
+ * Turn position reporting off; retried until the device confirms or attempts run out
+ */
+function expireReportingWatchdog(watchdog) {
+    if (reportingWatchdogs.get(watchdog.topic) !== watchdog) return;
+
+    if (watchdog.offAttempts >= WATCHDOG_OFF_ATTEMPTS) {
+        console.error(`[WATCHDOG] ${watchdog.topic} did not confirm position reporting off - giving up`);
+        stopReportingWatchdog(watchdog.topic);
+        return;
+    }
+
+    watchdog.offAttempts++;
+    const reason = watchdog.graceDeadline !== null && watchdog.graceDeadline <= Date.now() ? 'no open tabs' : 'timeout';
+    console.log(`[WATCHDOG] Turning position reporting off for ${watchdog.topic} (${reason}, attempt ${watchdog.offAttempts})`);
+    publishToMQTT(`${watchdog.topic}/set`, { position_reporting: false });
+
+    watchdog.deadline = Date.now() + WATCHDOG_OFF_RETRY_MS;
+    watchdog.graceDeadline = null;
+    scheduleReportingWatchdog(watchdog);
+}
+
+/**
+ * Give every watched device the grace period once the last tab is gone
+ */
+function startReportingGrace() {
+    if (!getReportingGraceMs()) return;
+
+    reportingWatchdogs.forEach(watchdog => {
+        if (watchdog.graceDeadline === null && watchdog.offAttempts === 0) {
+            watchdog.graceDeadline = Date.now() + getReportingGraceMs();
+            console.log(`[WATCHDOG] No open tabs - ${watchdog.topic} turns off in ${config.position_reporting_grace} min`);
+            scheduleReportingWatchdog(watchdog);
         }
     });
-    return true;
+}
+
+/**
+ * A tab is back - only the timeout applies again
+ */
+function clearReportingGrace() {
+    reportingWatchdogs.forEach(watchdog => {
+        if (watchdog.graceDeadline !== null) {
+            watchdog.graceDeadline = null;
+            scheduleReportingWatchdog(watchdog);
+        }
+    });
+}
+
+/**
+ * Follow position_reporting in device state and in publishes from tabs
+ */
+function handleReportingState(topic, positionReporting) {
+    if (positionReporting === true && !reportingWatchdogs.has(topic)) {
+        startReportingWatchdog(topic);
+    } else if (positionReporting === false) {
+        stopReportingWatchdog(topic);
+    }
+}
+
+/**
+ * Current watchdog state of a device as sent to tabs
+ */
+function getReportingWatchdogStatus(topic) {
+    const watchdog = reportingWatchdogs.get(topic);
+    if (!watchdog) {
+        return { type: 'reporting_watchdog', topic, active: false };
+    }
+
+    const due = Math.min(watchdog.deadline ?? Infinity, watchdog.graceDeadline ?? Infinity);
+    return {
+        type: 'reporting_watchdog',
+        topic,
+        active: true,
+        enabledAt: new Date(watchdog.enabledAt).toISOString(),
+        offAt: due === Infinity ? null : new Date(due).toISOString(),
+        switchingOff: watchdog.offAttempts > 0,
+        timeoutMinutes: Number(config.position_reporting_timeout) || 0
+    };
+}
+
+function broadcastReportingWatchdog(topic) {
+    broadcastToFrontend(getReportingWatchdogStatus(topic), topic);
 }
 
 // Handle WebSocket connections from frontend
-wss.on('connection', (ws) => {
-    console.log('[WS] Frontend client connected');
-    frontendClients.add(ws);
+wss.on('connection', (ws, request) => {
+    const role = getRequestRole(request);
+    if (!role) {
+        console.log('[WS] Rejected frontend client - missing or invalid token');
+        ws.close(1008, 'Access token required');
+        return;
+    }
+
+    console.log(`[WS] Frontend client connected (${role})`);
+    ws.role = role;
+    frontendClients.set(ws, new Set());
+    clearReportingGrace();
+
+    // Tell the client what it is allowed to do
+    ws.send(JSON.stringify({ type: 'access', role }));
 
     // Send current MQTT status
     ws.send(JSON.stringify({
@@ -410,6 +2627,18 @@ wss.on('connection', (ws) => {
         connected: mqttClient?.connected || false
     }));
 
+    // Send discovered devices
+    ws.send(JSON.stringify({
+        type: 'devices',
+        devices: getDiscoveredDevices()
+    }));
+
+    // Send active recordings
+    ws.send(JSON.stringify({
+        type: 'recordings_changed',
+        active: getActiveRecordings()
+    }));
+
     ws.on('message', (data) => {
         try {
             const message = JSON.parse(data.toString());
@@ -419,24 +2648,63 @@ wss.on('connection', (ws) => {
                 case 'subscribe':
                     // Client wants to subscribe to a topic
                     console.log(`[WS] Subscribe request for topic: ${message.topic}`);
-                    connectMQTT(message.topic);
+                    // A wildcard filter would show viewers every device's traffic
+                    if (ws.role !== 'admin' && /[#+]/.test(String(message.topic))) {
+                        console.log(`[WS] Rejected subscribe to ${message.topic} - read-only access`);
+                        ws.send(JSON.stringify({ type: 'error', error: 'Read-only access: wildcard topics are not allowed' }));
+                        break;
+                    }
+                    if (message.topic) {
+                        subscribeClient(ws, message.topic);
+                        ws.send(JSON.stringify(getReportingWatchdogStatus(message.topic)));
+                        ws.send(JSON.stringify(getDeviceHealthStatus(message.topic)));
+                    }
                     break;
 
                 case 'publish':
-                    // Client wants to publish a message
+                    // Client wants to publish a message (admin only, except
+                    // asking a subscribed device for its zone settings)
+                    if (ws.role !== 'admin' && !isZoneConfigRequest(ws, message.topic, message.payload)) {
+                        console.log(`[WS] Rejected publish to ${message.topic} - read-only access`);
+                        ws.send(JSON.stringify({ type: 'error', error: 'Read-only access: sending to the sensor is not allowed' }));
+                        break;
+                    }
                     publishToMQTT(message.topic, message.payload);
+
+                    // Switching position reporting on starts the auto-off timer
+                    if (String(message.topic).endsWith('/set') && typeof message.payload?.position_reporting === 'boolean') {
+                        const deviceTopic = message.topic.slice(0, -'/set'.length);
+                        if (message.payload.position_reporting) {
+                            startReportingWatchdog(deviceTopic);
+                        }
+                    }
+                    break;
+
+                case 'reporting_keep_on':
+                    // Client wants position reporting to stay on for another timeout (admin only)
+                    if (ws.role !== 'admin') {
+                        ws.send(JSON.stringify({ type: 'error', error: 'Read-only access: sending to the sensor is not allowed' }));
+                        break;
+                    }
+                    if (reportingWatchdogs.has(message.topic)) {
+                        startReportingWatchdog(message.topic);
+                    }
+                    break;
+
+                case 'apply_zones':
+                    // Client wants a tracked zone_config apply (admin only)
+                    if (ws.role !== 'admin') {
+                        ws.send(JSON.stringify({ type: 'error', error: 'Read-only access: sending to the sensor is not allowed' }));
+                        break;
+                    }
+                    startApplyOperation(ws, message.requestId, message.topic, message.payload);
                     break;
 
                 case 'unsubscribe':
-                    // Client wants to unsubscribe
-                    if (mqttClient && message.topic) {
-                        mqttClient.unsubscribe(message.topic, (err) => {
-                            if (err) {
-                                console.error(`[MQTT] Unsubscribe error:`, err.message);
-                            } else {
-                                console.log(`[MQTT] Unsubscribed from: ${message.topic}`);
-                            }
-                        });
+                    // Client wants to unsubscribe - broker only drops the topic
+                    // once no other client is still using it
+                    if (message.topic) {
+                        unsubscribeClient(ws, message.topic);
                     }
                     break;
 
@@ -444,12 +2712,7 @@ wss.on('connection', (ws) => {
                     // Send config to client
                     ws.send(JSON.stringify({
                         type: 'config',
-                        mqtt: {
-                            host: config.mqtt_host,
-                            wsPort: config.mqtt_ws_port,
-                            username: config.mqtt_username,
-                            password: config.mqtt_password
-                        }
+                        ...getPublicConfig(ws.role)
                     }));
                     break;
             }
@@ -460,12 +2723,16 @@ wss.on('connection', (ws) => {
 
     ws.on('close', () => {
         console.log('[WS] Frontend client disconnected');
-        frontendClients.delete(ws);
+        cancelClientApplies(ws);
+        removeFrontendClient(ws);
+        if (frontendClients.size === 0) startReportingGrace();
     });
 
     ws.on('error', (error) => {
         console.error('[WS] Error:', error.message);
-        frontendClients.delete(ws);
+        cancelClientApplies(ws);
+        removeFrontendClient(ws);
+        if (frontendClients.size === 0) startReportingGrace();
     });
 });
 
@@ -473,8 +2740,22 @@ wss.on('connection', (ws) => {
 server.listen(PORT, '0.0.0.0', () => {
     console.log(`[SERVER] SHS Z2M Presence Zone Configurator v2.7.0`);
     console.log(`[SERVER] Listening on port ${PORT}`);
-    console.log(`[SERVER] MQTT broker: ws://${config.mqtt_host}:${config.mqtt_ws_port}`);
+    console.log(`[SERVER] MQTT broker: ${getBrokerUrl()}`);
     console.log(`[STORAGE] Room configs path: ${ROOM_CONFIGS_PATH}`);
     console.log(`[STORAGE] Room configs exist: ${existsSync(ROOM_CONFIGS_PATH)}`);
     console.log(`[STORAGE] Loaded rooms: ${Object.keys(roomConfigs).join(', ') || '(none)'}`);
+
+    // Open the shared broker connection - clients subscribe to topics over /ws
+    connectMQTT();
+
+    // Zone profile schedules and trigger topics
+    syncProfileTriggers();
+    setInterval(checkProfileSchedules, PROFILE_CHECK_INTERVAL_MS);
+
+    // Keeps "last report" and message rate current in open tabs
+    setInterval(broadcastAllDeviceHealth, HEALTH_BROADCAST_MS);
+
+    // Recordings that outgrew the retention limits
+    enforceRecordingRetention();
+    setInterval(enforceRecordingRetention, RECORDING_RETENTION_CHECK_MS);
 });
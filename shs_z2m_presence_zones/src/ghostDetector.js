@@ -0,0 +1,131 @@
+/**
+ * GhostDetector - Finds targets that stay at one spot from a history of target positions
+ * Fans, curtains and mirrors show up as targets that never move or jitter around a
+ * fixed point, often while the sensor's own presence report (LD2410) says nobody is there
+ */
+
+export class GhostDetector {
+    constructor() {
+        this.radius = 500; // mm a track may wander from its centre
+        this.maxGap = 30000; // ms a track may vanish before it is forgotten
+        this.ghostExpiry = 10 * 60 * 1000; // ms a ghost may vanish before it is forgotten
+
+        // How long a track must stay put to be flagged, when presence is
+        // mostly reported absent meanwhile or not reported at all
+        this.minDuration = 5 * 60 * 1000;
+        this.minDurationUnconfirmed = 20 * 60 * 1000;
+        this.minAbsentShare = 0.5;
+
+        this.clear();
+    }
+
+    clear() {
+        this.tracks = [];
+        this.nextId = 1;
+    }
+
+    /**
+     * Add the targets seen at a time (ms)
+     * @param {boolean|null} presence - Presence reported by the sensor, null if unknown
+     */
+    addFrame(targets, time, presence = null) {
+        const matched = new Set();
+
+        targets.forEach(target => {
+            // Nearest track whose centre is within the radius
+            let best = null;
+            let bestDistance = this.radius;
+            this.tracks.forEach(track => {
+                if (matched.has(track)) return;
+                const distance = Math.hypot(target.x - track.sumX / track.count, target.y - track.sumY / track.count);
+                if (distance <= bestDistance) {
+                    best = track;
+                    bestDistance = distance;
+                }
+            });
+
+            if (!best) {
+                best = {
+                    id: this.nextId++,
+                    firstSeen: time,
+                    lastSeen: time,
+                    count: 0,
+                    sumX: 0,
+                    sumY: 0,
+                    minX: target.x,
+                    maxX: target.x,
+                    minY: target.y,
+                    maxY: target.y,
+                    reportedTime: 0, // ms with presence reported
+                    absentTime: 0,   // ms with presence reported absent
+                    dismissed: false
+                };
+                this.tracks.push(best);
+            }
+            matched.add(best);
+            this.addToTrack(best, target, time, presence);
+        });
+
+        // Forget tracks that moved on, but keep ghosts a while so they are found again
+        this.tracks = this.tracks.filter(track => {
+            const gone = time - track.lastSeen;
+            return gone <= this.maxGap || (gone <= this.ghostExpiry && this.isGhost(track));
+        });
+    }
+
+    addToTrack(track, target, time, presence) {
+        // The time since the track was last seen counts toward the presence share
+        const elapsed = Math.min(Math.max(0, time - track.lastSeen), this.maxGap);
+        if (presence !== null) {
+            track.reportedTime += elapsed;
+            if (!presence) track.absentTime += elapsed;
+        }
+
+        track.lastSeen = time;
+        track.count++;
+        track.sumX += target.x;
+        track.sumY += target.y;
+        track.minX = Math.min(track.minX, target.x);
+        track.maxX = Math.max(track.maxX, target.x);
+        track.minY = Math.min(track.minY, target.y);
+        track.maxY = Math.max(track.maxY, target.y);
+    }
+
+    isGhost(track) {
+        const duration = track.lastSeen - track.firstSeen;
+        if (track.reportedTime > 0) {
+            return duration >= this.minDuration && track.absentTime / track.reportedTime >= this.minAbsentShare;
+        }
+        return duration >= this.minDurationUnconfirmed;
+    }
+
+    /**
+     * Stop flagging a track (the user knows it is a real target)
+     */
+    dismiss(id) {
+        const track = this.tracks.find(t => t.id === id);
+        if (track) track.dismissed = true;
+    }
+
+    /**
+     * Likely ghosts, longest first
+     * @returns {Array} [{ id, x, y, x1, y1, x2, y2, duration, absentShare, lastSeen }] - x1-y2 is the observed jitter (mm)
+     */
+    getGhosts() {
+        return this.tracks
+            .filter(track => !track.dismissed && this.isGhost(track))
+            .map(track => ({
+                id: track.id,
+                x: Math.round(track.sumX / track.count),
+                y: Math.round(track.sumY / track.count),
+                x1: track.minX,
+                y1: track.minY,
+                x2: track.maxX,
+                y2: track.maxY,
+                duration: track.lastSeen - track.firstSeen,
+                absentShare: track.reportedTime > 0 ? track.absentTime / track.reportedTime : null,
+                lastSeen: track.lastSeen
+            }))
+            .sort((a, b) => b.duration - a.duration);
+    }
+}
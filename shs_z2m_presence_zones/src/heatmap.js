@@ -0,0 +1,212 @@
+/**
+ * Heatmap - Accumulates target dwell time on a grid over the sensor range
+ * Each frame's targets are credited with the time until the next frame
+ */
+
+/**
+ * Area (mm²) two rectangles share
+ */
+function getOverlapArea(a, b) {
+    const width = Math.min(Math.max(a.x1, a.x2), Math.max(b.x1, b.x2)) - Math.max(Math.min(a.x1, a.x2), Math.min(b.x1, b.x2));
+    const height = Math.min(Math.max(a.y1, a.y2), Math.max(b.y1, b.y2)) - Math.max(Math.min(a.y1, a.y2), Math.min(b.y1, b.y2));
+    return width > 0 && height > 0 ? width * height : 0;
+}
+
+export class Heatmap {
+    constructor(cellSize = 100, range = { X_MIN: -3000, X_MAX: 3000, Y_MIN: 0, Y_MAX: 6000 }) {
+        this.cellSize = cellSize; // mm
+        this.range = range;
+        this.columns = Math.ceil((range.X_MAX - range.X_MIN) / cellSize);
+        this.rows = Math.ceil((range.Y_MAX - range.Y_MIN) / cellSize);
+
+        // Longest time a single frame is credited with, so a sensor that went
+        // quiet doesn't paint its last targets for minutes
+        this.maxFrameGap = 10000;
+
+        // Only keep the most recent window of dwell time (ms), 0 keeps everything
+        this.windowMs = 0;
+
+        this.clear();
+    }
+
+    clear() {
+        this.cells = new Float64Array(this.columns * this.rows); // Dwell time (ms) per cell
+        this.samples = []; // [{ time, cells, duration }] - credits still inside the window
+        this.lastTime = null;
+        this.lastCells = [];
+    }
+
+    /**
+     * Keep only the dwell time of the last windowMs, 0 keeps everything
+     */
+    setWindow(windowMs) {
+        this.windowMs = windowMs;
+        if (this.lastTime !== null) {
+            this.expire(this.lastTime);
+        }
+    }
+
+    /**
+     * Grid index of the cell a point (mm) falls in, or -1 outside the range
+     */
+    getCellIndex(x, y) {
+        const column = Math.floor((x - this.range.X_MIN) / this.cellSize);
+        const row = Math.floor((y - this.range.Y_MIN) / this.cellSize);
+        if (column < 0 || column >= this.columns || row < 0 || row >= this.rows) return -1;
+        return row * this.columns + column;
+    }
+
+    /**
+     * Add the targets seen at a time (ms)
+     * The previous frame's targets are credited with the time since they were seen
+     */
+    addFrame(targets, time) {
+        if (this.lastTime !== null && time > this.lastTime && this.lastCells.length > 0) {
+            const duration = Math.min(time - this.lastTime, this.maxFrameGap);
+            this.lastCells.forEach(index => {
+                this.cells[index] += duration;
+            });
+            // Kept with a window of 0 too, so a window set later can still expire them
+            this.samples.push({ time, cells: this.lastCells, duration });
+        }
+
+        this.lastTime = time;
+        this.lastCells = targets
+            .map(target => this.getCellIndex(target.x, target.y))
+            .filter(index => index >= 0);
+        this.expire(time);
+    }
+
+    /**
+     * Remove credits that fell out of the window
+     */
+    expire(now) {
+        if (this.windowMs <= 0) return;
+
+        const cutoff = now - this.windowMs;
+        let expired = 0;
+        while (expired < this.samples.length && this.samples[expired].time < cutoff) {
+            const sample = this.samples[expired];
+            sample.cells.forEach(index => {
+                this.cells[index] = Math.max(0, this.cells[index] - sample.duration);
+            });
+            expired++;
+        }
+        if (expired > 0) {
+            this.samples.splice(0, expired);
+        }
+    }
+
+    /**
+     * Longest dwell time (ms) of any cell
+     */
+    getMaxDwell() {
+        let max = 0;
+        for (let i = 0; i < this.cells.length; i++) {
+            if (this.cells[i] > max) max = this.cells[i];
+        }
+        return max;
+    }
+
+    /**
+     * Group cells with at least a share of the longest dwell time into clusters
+     * of touching cells, longest total dwell first
+     * @returns {Array} [{ x1, y1, x2, y2, dwell, share }] - bounds in mm, share of all dwell time
+     */
+    findClusters(threshold = 0.15) {
+        const max = this.getMaxDwell();
+        if (max <= 0) return [];
+
+        const total = this.cells.reduce((sum, dwell) => sum + dwell, 0);
+        const minDwell = max * threshold;
+        const visited = new Uint8Array(this.cells.length);
+        const clusters = [];
+
+        for (let start = 0; start < this.cells.length; start++) {
+            if (visited[start] || this.cells[start] < minDwell) continue;
+
+            // Flood fill over the 8 neighbours
+            const cluster = { minColumn: Infinity, maxColumn: -Infinity, minRow: Infinity, maxRow: -Infinity, dwell: 0 };
+            const stack = [start];
+            visited[start] = 1;
+            while (stack.length > 0) {
+                const index = stack.pop();
+                const column = index % this.columns;
+                const row = Math.floor(index / this.columns);
+                cluster.minColumn = Math.min(cluster.minColumn, column);
+                cluster.maxColumn = Math.max(cluster.maxColumn, column);
+                cluster.minRow = Math.min(cluster.minRow, row);
+                cluster.maxRow = Math.max(cluster.maxRow, row);
+                cluster.dwell += this.cells[index];
+
+                for (let dy = -1; dy <= 1; dy++) {
+                    for (let dx = -1; dx <= 1; dx++) {
+                        const c = column + dx;
+                        const r = row + dy;
+                        if (c < 0 || c >= this.columns || r < 0 || r >= this.rows) continue;
+                        const neighbour = r * this.columns + c;
+                        if (visited[neighbour] || this.cells[neighbour] < minDwell) continue;
+                        visited[neighbour] = 1;
+                        stack.push(neighbour);
+                    }
+                }
+            }
+
+            clusters.push({
+                x1: this.range.X_MIN + cluster.minColumn * this.cellSize,
+                y1: this.range.Y_MIN + cluster.minRow * this.cellSize,
+                x2: this.range.X_MIN + (cluster.maxColumn + 1) * this.cellSize,
+                y2: this.range.Y_MIN + (cluster.maxRow + 1) * this.cellSize,
+                dwell: cluster.dwell,
+                share: cluster.dwell / total
+            });
+        }
+
+        return clusters.sort((a, b) => b.dwell - a.dwell);
+    }
+
+    /**
+     * Rectangles on the 100mm grid around the busiest clusters, leaving out spots
+     * mostly covered by an enabled zone already
+     * @param {Array} zones - Zones with x1, y1, x2, y2 (polygons by their bounding box)
+     * @returns {Array} [{ x1, y1, x2, y2, share }] - at most maxCount, busiest first
+     */
+    suggestZones(zones = [], { margin = 200, minShare = 0.05, maxOverlap = 0.5, maxCount = 5 } = {}) {
+        const snap = value => Math.round(value / 100) * 100;
+
+        const suggestions = [];
+        this.findClusters().forEach(cluster => {
+            if (cluster.share < minShare || suggestions.length >= maxCount) return;
+
+            const rect = {
+                x1: Math.max(this.range.X_MIN, snap(cluster.x1 - margin)),
+                y1: Math.max(this.range.Y_MIN, snap(cluster.y1 - margin)),
+                x2: Math.min(this.range.X_MAX, snap(cluster.x2 + margin)),
+                y2: Math.min(this.range.Y_MAX, snap(cluster.y2 + margin)),
+                share: cluster.share
+            };
+            const area = (rect.x2 - rect.x1) * (rect.y2 - rect.y1);
+            const covered = zones.some(zone => zone.enabled && getOverlapArea(rect, zone) > area * maxOverlap);
+            if (!covered) {
+                suggestions.push(rect);
+            }
+        });
+        return suggestions;
+    }
+
+    /**
+     * Cells with dwell time, as sensor coordinates (mm) of their lower-left corner
+     */
+    getCells() {
+        const cells = [];
+        for (let i = 0; i < this.cells.length; i++) {
+            if (this.cells[i] <= 0) continue;
+            cells.push({
+                x: this.range.X_MIN + (i % this.columns) * this.cellSize,
+                y: this.range.Y_MIN + Math.floor(i / this.columns) * this.cellSize,
+                dwell: this.cells[i]
+            });
+        }
+        return cells;
+    }
+}
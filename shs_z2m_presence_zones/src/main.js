@@ -2,12 +2,15 @@ import { RadarCanvas } from './radarCanvas.js';
 import { ZoneManager } from './zoneManager.js';
 import { StorageManager } from './storageManager.js';
 import { DrawingManager } from './drawingManager.js';
+import { Heatmap } from './heatmap.js';
+import { GhostDetector } from './ghostDetector.js';
 
 // LocalStorage key for saving room name
 const STORAGE_KEY = 'ld2450_zone_config_settings';
 
 // WebSocket connection to backend server
 let wsConnection = null;
+let wsHasConnected = false; // Reconnects re-sync rooms that changed meanwhile
 
 // ============================================================================
 // Application State
@@ -20,13 +23,30 @@ const state = {
         broker: 'ws://localhost:9001',
         username: '',
         password: '',
-        baseTopic: 'zigbee2mqtt/SHS01'
+        baseTopic: 'zigbee2mqtt/SHS01',
+        deviceIeee: null // IEEE address of the discovered device behind baseTopic
     },
+    // SHS01 devices discovered from the Zigbee2MQTT bridge
+    devices: [],
+    // Access role granted by the server ('admin' or read-only 'viewer')
+    access: {
+        role: 'admin'
+    },
+    // Sensor settings saved in the room, keyed by expose property
+    sensorSettings: {},
+    // Request id of the zone apply shown in the progress indicator
+    applyRequestId: null,
     sensor: {
         targets: [],
         targetCount: 0,
         occupancy: false,
+        presence: null, // LD2410 presence (`occupancy`), null until the sensor reports it
         positionReporting: false,
+        reportingWatchdog: null, // Server auto-off status (`reporting_watchdog` message)
+        health: null, // Availability and link quality (`device_health` message)
+        settingValues: {}, // Setting values the sensor last reported, keyed by expose property
+        deviceZones: null, // Zone settings read back from the sensor (see ZoneManager.parseZoneConfigPayload)
+        mismatchedZones: [], // Zones whose reported occupancy disagrees with the drawn geometry
         zones: [
             { occupied: false },
             { occupied: false },
@@ -73,7 +93,25 @@ const state = {
     ui: {
         activeZone: 1,
         mapRotation: 0 // 0, 90, 180, 270 degrees
-    }
+    },
+    // Named zone layouts of the open room and the rules that switch between them
+    profiles: {
+        list: [],         // [{ name, zones }]
+        schedule: [],     // [{ profile, at }] or [{ profile, trigger, payload }]
+        active: null,     // { name, since, source } - set by the server
+        nextSwitch: null  // { profile, at } - from the server
+    },
+    recordings: {
+        list: [],         // Sessions on the server, newest first
+        active: []        // Recordings in progress ({ id, room, startedAt })
+    },
+    heatmap: {
+        visible: false,
+        opacity: 0.6,
+        windowMs: 15 * 60 * 1000 // Live dwell time kept on the map
+    },
+    // Proposed zone rectangles shown as previews ({ x1, y1, x2, y2, share })
+    zoneSuggestions: []
 };
 
 // ============================================================================
@@ -85,12 +123,58 @@ const elements = {
     mqttStatus: document.getElementById('mqttStatus'),
     mqttStatusText: document.getElementById('mqttStatusText'),
     mqttTopic: document.getElementById('mqttTopic'),
+    deviceSelector: document.getElementById('deviceSelector'),
     roomName: document.getElementById('roomName'),
     saveRoomBtn: document.getElementById('saveRoomBtn'),
     deleteRoomBtn: document.getElementById('deleteRoomBtn'),
+    renameRoomBtn: document.getElementById('renameRoomBtn'),
+    duplicateRoomBtn: document.getElementById('duplicateRoomBtn'),
+    roomHistoryBtn: document.getElementById('roomHistoryBtn'),
+    roomHistoryPanel: document.getElementById('roomHistoryPanel'),
+    roomHistoryList: document.getElementById('roomHistoryList'),
+    exportRoomsBtn: document.getElementById('exportRoomsBtn'),
+    importRoomsBtn: document.getElementById('importRoomsBtn'),
+    importRoomsFile: document.getElementById('importRoomsFile'),
+
+    // Import Preview Dialog
+    importDialog: document.getElementById('importDialog'),
+    importSummary: document.getElementById('importSummary'),
+    importList: document.getElementById('importList'),
+    importCancelBtn: document.getElementById('importCancelBtn'),
+    importConfirmBtn: document.getElementById('importConfirmBtn'),
     sensorSelector: document.getElementById('sensorSelector'),
     positionReportingBtn: document.getElementById('positionReportingBtn'),
     positionReportingBtnMobile: document.getElementById('positionReportingBtnMobile'),
+    reportingWatchdog: document.getElementById('reportingWatchdog'),
+    deviceStatus: document.getElementById('deviceStatus'),
+    sensorSettingsList: document.getElementById('sensorSettingsList'),
+    applySettingsBtn: document.getElementById('applySettingsBtn'),
+    recordingToggleBtn: document.getElementById('recordingToggleBtn'),
+    recordingStatus: document.getElementById('recordingStatus'),
+    recordingList: document.getElementById('recordingList'),
+    playbackBar: document.getElementById('playbackBar'),
+    playbackTitle: document.getElementById('playbackTitle'),
+    playbackPlayBtn: document.getElementById('playbackPlayBtn'),
+    playbackScrubber: document.getElementById('playbackScrubber'),
+    playbackTime: document.getElementById('playbackTime'),
+    playbackSpeed: document.getElementById('playbackSpeed'),
+    playbackLoop: document.getElementById('playbackLoop'),
+    playbackCloseBtn: document.getElementById('playbackCloseBtn'),
+    heatmapToggle: document.getElementById('heatmapToggle'),
+    heatmapWindow: document.getElementById('heatmapWindow'),
+    heatmapOpacity: document.getElementById('heatmapOpacity'),
+    heatmapClearBtn: document.getElementById('heatmapClearBtn'),
+    heatmapLegend: document.getElementById('heatmapLegend'),
+    heatmapLegendMax: document.getElementById('heatmapLegendMax'),
+    heatmapSource: document.getElementById('heatmapSource'),
+    suggestZonesBtn: document.getElementById('suggestZonesBtn'),
+    dismissSuggestionsBtn: document.getElementById('dismissSuggestionsBtn'),
+    zoneSuggestionList: document.getElementById('zoneSuggestionList'),
+    ghostList: document.getElementById('ghostList'),
+    deviceStatusIndicator: document.getElementById('deviceStatusIndicator'),
+    deviceStatusText: document.getElementById('deviceStatusText'),
+    reportingCountdown: document.getElementById('reportingCountdown'),
+    keepReportingOnBtn: document.getElementById('keepReportingOnBtn'),
 
     // Mobile scroll controls
     furnitureGrid: document.getElementById('furnitureGrid'),
@@ -109,6 +193,13 @@ const elements = {
     increaseSizeBtn: document.getElementById('increaseSizeBtn'),
     decreaseSizeBtn: document.getElementById('decreaseSizeBtn'),
     deleteShapeBtn: document.getElementById('deleteShapeBtn'),
+    splitZoneBtn: document.getElementById('splitZoneBtn'),
+
+    // Revision Preview Banner
+    historyPreviewBanner: document.getElementById('historyPreviewBanner'),
+    historyPreviewText: document.getElementById('historyPreviewText'),
+    historyPreviewRestoreBtn: document.getElementById('historyPreviewRestoreBtn'),
+    historyPreviewCloseBtn: document.getElementById('historyPreviewCloseBtn'),
 
     // Placement Done
     placementDone: document.getElementById('placementDone'),
@@ -139,6 +230,7 @@ const elements = {
     zone1Status: document.getElementById('zone1Status'),
     zone1Info: document.getElementById('zone1Info'),
     zone1Card: document.getElementById('zone1Card'),
+    zone1Error: document.getElementById('zone1Error'),
     zone1OccupancyIcon: document.getElementById('zone1OccupancyIcon'),
 
     zone2Enable: document.getElementById('zone2Enable'),
@@ -149,6 +241,7 @@ const elements = {
     zone2Status: document.getElementById('zone2Status'),
     zone2Info: document.getElementById('zone2Info'),
     zone2Card: document.getElementById('zone2Card'),
+    zone2Error: document.getElementById('zone2Error'),
     zone2OccupancyIcon: document.getElementById('zone2OccupancyIcon'),
 
     zone3Enable: document.getElementById('zone3Enable'),
@@ -159,6 +252,7 @@ const elements = {
     zone3Status: document.getElementById('zone3Status'),
     zone3Info: document.getElementById('zone3Info'),
     zone3Card: document.getElementById('zone3Card'),
+    zone3Error: document.getElementById('zone3Error'),
     zone3OccupancyIcon: document.getElementById('zone3OccupancyIcon'),
 
     zone4Enable: document.getElementById('zone4Enable'),
@@ -169,6 +263,7 @@ const elements = {
     zone4Status: document.getElementById('zone4Status'),
     zone4Info: document.getElementById('zone4Info'),
     zone4Card: document.getElementById('zone4Card'),
+    zone4Error: document.getElementById('zone4Error'),
     zone4OccupancyIcon: document.getElementById('zone4OccupancyIcon'),
 
     zone5Enable: document.getElementById('zone5Enable'),
@@ -179,8 +274,52 @@ const elements = {
     zone5Status: document.getElementById('zone5Status'),
     zone5Info: document.getElementById('zone5Info'),
     zone5Card: document.getElementById('zone5Card'),
+    zone5Error: document.getElementById('zone5Error'),
     zone5OccupancyIcon: document.getElementById('zone5OccupancyIcon'),
 
+    roomValidationErrors: document.getElementById('roomValidationErrors'),
+
+    // Save to Sensor Progress
+    applyProgress: document.getElementById('applyProgress'),
+    applyProgressStatus: document.getElementById('applyProgressStatus'),
+    applyProgressZones: document.getElementById('applyProgressZones'),
+
+    // Sensor Drift Banner
+    zoneDriftBanner: document.getElementById('zoneDriftBanner'),
+    zoneDriftText: document.getElementById('zoneDriftText'),
+    pullZonesBtn: document.getElementById('pullZonesBtn'),
+    pushZonesBtn: document.getElementById('pushZonesBtn'),
+
+    // Zone Profiles
+    zoneProfileSelect: document.getElementById('zoneProfileSelect'),
+    loadProfileBtn: document.getElementById('loadProfileBtn'),
+    activateProfileBtn: document.getElementById('activateProfileBtn'),
+    profileStatus: document.getElementById('profileStatus'),
+    saveProfileBtn: document.getElementById('saveProfileBtn'),
+    deleteProfileBtn: document.getElementById('deleteProfileBtn'),
+    toggleScheduleBtn: document.getElementById('toggleScheduleBtn'),
+    profileSchedule: document.getElementById('profileSchedule'),
+    scheduleRules: document.getElementById('scheduleRules'),
+    addScheduleRuleBtn: document.getElementById('addScheduleRuleBtn'),
+
+    // Bulk Apply
+    bulkApplyBtn: document.getElementById('bulkApplyBtn'),
+    bulkApplyDialog: document.getElementById('bulkApplyDialog'),
+    bulkSourceRoom: document.getElementById('bulkSourceRoom'),
+    bulkSourceSet: document.getElementById('bulkSourceSet'),
+    bulkSaveRooms: document.getElementById('bulkSaveRooms'),
+    bulkApplySummary: document.getElementById('bulkApplySummary'),
+    bulkTargetList: document.getElementById('bulkTargetList'),
+    bulkCloseBtn: document.getElementById('bulkCloseBtn'),
+    bulkRetryBtn: document.getElementById('bulkRetryBtn'),
+    bulkConfirmBtn: document.getElementById('bulkConfirmBtn'),
+
+    // Occupancy Check
+    occupancyCheck: document.getElementById('occupancyCheck'),
+    occupancyCheckSummary: document.getElementById('occupancyCheckSummary'),
+    occupancyCheckTargets: document.getElementById('occupancyCheckTargets'),
+    occupancyCheckRows: document.getElementById('occupancyCheckRows'),
+
     // Zone Type Selectors
     zone1Type: document.getElementById('zone1Type'),
     zone2Type: document.getElementById('zone2Type'),
@@ -206,6 +345,9 @@ const radarCanvas = new RadarCanvas(elements.radarCanvas);
 const zoneManager = new ZoneManager(state.zones);
 const storageManager = new StorageManager();
 
+// Revision shown on the canvas instead of the live layout (History panel preview)
+let historyPreview = null; // { revision, zones, annotations }
+
 // Track currently selected item for shape actions
 let selectedItemType = null; // 'zone' | 'furniture' | 'entrance'
 let selectedItemIndex = null;
@@ -259,7 +401,8 @@ const drawingManager = new DrawingManager(radarCanvas, state, {
         triggerAutoSave();
     },
     onPreviewUpdate: (preview) => {
-        radarCanvas.setDrawingPreview(preview);
+        // Zone suggestions show again once drawing is done
+        radarCanvas.setDrawingPreview(preview || getZoneSuggestionPreview());
     },
     onFurniturePlaced: (furniture) => {
         radarCanvas.drawFrame(state.sensor.targets, state.zones.zones, state.annotations);
@@ -474,7 +617,7 @@ function rotateMap() {
  */
 let autoSaveTimeout = null;
 function triggerAutoSave() {
-    if (!elements.saveIndicator) return;
+    if (!elements.saveIndicator || !canWrite()) return;
 
     // Show "Saving..." briefly
     elements.saveIndicator.textContent = 'Saving...';
@@ -483,24 +626,28 @@ function triggerAutoSave() {
     // Clear any pending timeout
     if (autoSaveTimeout) clearTimeout(autoSaveTimeout);
 
-    // Save to server (async, fire-and-forget)
-    saveCurrentSensorConfig();
-
-    // Show "Saved" after a brief delay
-    autoSaveTimeout = setTimeout(() => {
-        elements.saveIndicator.innerHTML = `
-            <svg width="12" height="12" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
-                <path d="M20 6L9 17l-5-5"/>
-            </svg>
-            Saved
-        `;
-        elements.saveIndicator.classList.remove('saving');
-
-        // Hide after 2 seconds
-        setTimeout(() => {
-            elements.saveIndicator.classList.remove('visible');
-        }, 2000);
-    }, 300);
+    // Save to server, then show the result after a brief delay
+    const started = Date.now();
+    saveCurrentSensorConfig().then(saved => {
+        if (autoSaveTimeout) clearTimeout(autoSaveTimeout);
+        autoSaveTimeout = setTimeout(() => {
+            elements.saveIndicator.innerHTML = saved ? `
+                <svg width="12" height="12" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                    <path d="M20 6L9 17l-5-5"/>
+                </svg>
+                Saved
+            ` : 'Not saved';
+            elements.saveIndicator.classList.remove('saving');
+            elements.saveIndicator.classList.toggle('failed', !saved);
+
+            // Hide after 2 seconds (failures stay visible)
+            if (saved) {
+                setTimeout(() => {
+                    elements.saveIndicator.classList.remove('visible');
+                }, 2000);
+            }
+        }, Math.max(0, 300 - (Date.now() - started)));
+    });
 }
 
 /**
@@ -588,6 +735,13 @@ function showShapeActions(shape) {
         elements.decreaseSizeBtn.style.display = showResizeButtons ? 'flex' : 'none';
     }
 
+    // Rectilinear polygon zones can be split into rectangles the sensor enforces exactly
+    if (elements.splitZoneBtn) {
+        const canSplit = selectedItemType === 'zone' && shape.shapeType === 'polygon' &&
+            zoneManager.isRectilinearPolygon(shape.vertices);
+        elements.splitZoneBtn.style.display = canSplit ? 'flex' : 'none';
+    }
+
     // Position the action buttons
     elements.shapeActions.style.left = `${displayX}px`;
     elements.shapeActions.style.top = `${Math.max(10, displayY)}px`;
@@ -653,6 +807,54 @@ function deleteSelectedShape() {
     }
 }
 
+/**
+ * Split the selected rectilinear polygon zone into rectangles
+ * The first rectangle replaces the polygon, the rest go into free zone slots
+ */
+function splitSelectedZone() {
+    if (selectedItemType !== 'zone' || selectedItemIndex === null) return;
+
+    const zones = state.zones.zones;
+    const zone = zones[selectedItemIndex];
+    const rectangles = zoneManager.decomposeRectilinearPolygon(zone.vertices);
+    if (rectangles.length === 0) return;
+
+    const freeSlots = zones
+        .map((z, i) => i)
+        .filter(i => i !== selectedItemIndex && !zones[i].enabled);
+    const needed = rectangles.length - 1;
+
+    if (needed > freeSlots.length) {
+        alert(`Splitting Zone ${selectedItemIndex + 1} needs ${needed} free zone slot${needed === 1 ? '' : 's'}, ` +
+            `but only ${freeSlots.length} ${freeSlots.length === 1 ? 'is' : 'are'} available.`);
+        return;
+    }
+
+    const slotNames = [selectedItemIndex, ...freeSlots.slice(0, needed)].map(i => `Zone ${i + 1}`);
+    if (!confirm(`Split Zone ${selectedItemIndex + 1} into ${rectangles.length} rectangles (${slotNames.join(', ')})?`)) {
+        return;
+    }
+
+    const slots = [selectedItemIndex, ...freeSlots];
+    rectangles.forEach((rect, i) => {
+        const target = zones[slots[i]];
+        target.enabled = true;
+        target.zoneType = zone.zoneType;
+        target.shapeType = 'rectangle';
+        target.vertices = null;
+        target.x1 = rect.x1;
+        target.y1 = rect.y1;
+        target.x2 = rect.x2;
+        target.y2 = rect.y2;
+    });
+
+    hideShapeActions();
+    loadZoneFormValues();
+    updateZoneCards();
+    radarCanvas.drawFrame(state.sensor.targets, state.zones.zones, state.annotations);
+    triggerAutoSave();
+}
+
 /**
  * Delete the selected edge
  */
@@ -793,6 +995,12 @@ function connectWebSocket() {
     wsConnection.onopen = () => {
         console.log('WebSocket connected to backend');
 
+        // Rooms may have changed while we were disconnected
+        if (wsHasConnected) {
+            syncRoomsAfterReconnect();
+        }
+        wsHasConnected = true;
+
         // Subscribe to MQTT topic if one is configured
         const topic = elements.mqttTopic.value;
         if (topic && topic.trim()) {
@@ -816,6 +1024,7 @@ function connectWebSocket() {
         console.log('WebSocket disconnected');
         state.mqtt.connected = false;
         updateConnectionStatus(false);
+        failBulkApplies('Connection to the server lost');
 
         // Reconnect after delay
         setTimeout(() => {
@@ -840,11 +1049,12 @@ function handleBackendMessage(message) {
             state.mqtt.connected = message.connected;
             if (message.connected) {
                 updateConnectionStatus(true);
+                requestDeviceZoneConfig();
                 if (elements.positionReportingBtn) {
-                    elements.positionReportingBtn.disabled = false;
+                    elements.positionReportingBtn.disabled = !canWrite();
                 }
                 if (elements.positionReportingBtnMobile) {
-                    elements.positionReportingBtnMobile.disabled = false;
+                    elements.positionReportingBtnMobile.disabled = !canWrite();
                 }
             } else {
                 updateConnectionStatus(false, message.error);
@@ -858,15 +1068,97 @@ function handleBackendMessage(message) {
             break;
 
         case 'mqtt_message':
+            // Drop messages still in flight for a topic we just switched away from,
+            // and live data while a recording is played
+            if (message.topic !== state.mqtt.baseTopic || isPlaybackActive()) break;
             handleMQTTMessage(message.topic, message.data);
             break;
 
+        case 'access':
+            state.access.role = message.role;
+            updateAccessControls();
+            break;
+
+        case 'error':
+            console.error('[WS] Backend error:', message.error);
+            alert(message.error);
+            break;
+
+        case 'devices':
+            state.devices = message.devices || [];
+            populateDeviceSelector();
+            renderSensorSettings();
+            break;
+
+        case 'device_renamed':
+            handleDeviceRenamed(message);
+            break;
+
+        case 'room_changed':
+            handleRoomChanged(message);
+            break;
+
+        case 'room_deleted':
+            handleRoomDeleted(message);
+            break;
+
+        case 'room_renamed':
+            handleRoomRenamed(message);
+            break;
+
+        case 'reporting_watchdog':
+            handleReportingWatchdog(message);
+            break;
+
+        case 'device_health':
+            handleDeviceHealth(message);
+            break;
+
+        case 'recordings_changed':
+            state.recordings.active = message.active || [];
+            loadRecordings();
+            break;
+
+        case 'apply_progress':
+            updateApplyProgress(message);
+            updateBulkApplyProgress(message);
+            break;
+
         case 'config':
             console.log('Received config from backend:', message.mqtt);
             break;
     }
 }
 
+/**
+ * Check whether this client may change rooms or send to the sensor
+ */
+function canWrite() {
+    return state.access.role === 'admin';
+}
+
+/**
+ * Disable controls that change data when the server grants read-only access
+ */
+function updateAccessControls() {
+    const readOnly = !canWrite();
+
+    [elements.saveRoomBtn, elements.deleteRoomBtn, elements.renameRoomBtn, elements.duplicateRoomBtn, elements.importRoomsBtn, elements.applyZonesBtn, elements.resetZonesBtn, elements.pullZonesBtn, elements.pushZonesBtn,
+        elements.activateProfileBtn, elements.saveProfileBtn, elements.deleteProfileBtn, elements.addScheduleRuleBtn, elements.bulkApplyBtn, elements.keepReportingOnBtn, elements.applySettingsBtn].forEach(btn => {
+        if (btn) {
+            btn.disabled = readOnly;
+            btn.title = readOnly ? 'Read-only access' : '';
+        }
+    });
+
+    if (readOnly) {
+        if (elements.positionReportingBtn) elements.positionReportingBtn.disabled = true;
+        if (elements.positionReportingBtnMobile) elements.positionReportingBtnMobile.disabled = true;
+    }
+    renderSensorSettings();
+    renderRecordings();
+}
+
 /**
  * Send message to backend via WebSocket
  */
@@ -889,8 +1181,17 @@ function handleTopicChange(newTopic) {
 
     const oldTopic = state.mqtt.baseTopic;
 
+    // Go back to the previous sensor's live state while it is still the one shown
+    if (newTopic !== oldTopic) {
+        stopPlayback();
+    }
+
     // Update state
     state.mqtt.baseTopic = newTopic;
+    state.mqtt.deviceIeee = findDeviceByTopic(newTopic)?.ieeeAddress || null;
+    if (elements.deviceSelector) {
+        elements.deviceSelector.value = findDeviceByTopic(newTopic) ? newTopic : '';
+    }
 
     // Tell backend to unsubscribe from old topic and subscribe to new one
     if (wsConnection && wsConnection.readyState === WebSocket.OPEN) {
@@ -900,10 +1201,182 @@ function handleTopicChange(newTopic) {
         sendToBackend({ type: 'subscribe', topic: newTopic });
     }
 
+    // Zones read from the previous sensor no longer apply
+    if (newTopic !== oldTopic) {
+        clearLiveHeatmap();
+        clearLiveGhosts();
+        state.sensor.presence = null;
+        dismissZoneSuggestions();
+        state.sensor.deviceZones = null;
+        updateZoneDriftBanner();
+        resetOccupancyCheck();
+        handleReportingWatchdog({ topic: newTopic, active: false });
+        handleDeviceHealth(null);
+        state.sensor.settingValues = {};
+        renderSensorSettings();
+        if (state.mqtt.connected) {
+            requestDeviceZoneConfig();
+        }
+    }
+
     // Save to localStorage
     saveCredentials();
 }
 
+// ============================================================================
+// Device Discovery
+// ============================================================================
+
+/**
+ * Load discovered SHS01 devices from the server
+ */
+async function loadDevices() {
+    try {
+        const response = await fetch(`${storageManager.getBasePath()}/api/devices`);
+        if (response.ok) {
+            const data = await response.json();
+            state.devices = data.devices || [];
+            populateDeviceSelector();
+            renderSensorSettings();
+        }
+    } catch (error) {
+        console.warn('[DISCOVERY] Device list unavailable:', error.message);
+    }
+}
+
+/**
+ * Find a discovered device by its Zigbee2MQTT topic
+ */
+function findDeviceByTopic(topic) {
+    return state.devices.find(device => device.topic === topic) || null;
+}
+
+/**
+ * Populate the device picker with discovered SHS01 devices
+ */
+function populateDeviceSelector() {
+    if (!elements.deviceSelector) return;
+
+    const placeholder = state.devices.length > 0
+        ? '-- Select a discovered SHS01 --'
+        : '-- No SHS01 devices discovered --';
+    elements.deviceSelector.innerHTML = `<option value="">${placeholder}</option>`;
+
+    state.devices.forEach(device => {
+        const option = document.createElement('option');
+        const status = device.availability === 'online' ? '● online'
+            : device.availability === 'offline' ? '○ offline' : 'unknown';
+        option.value = device.topic;
+        option.textContent = `${device.friendlyName} (${device.ieeeAddress}) — ${status}`;
+        elements.deviceSelector.appendChild(option);
+    });
+
+    // Select the device behind the current topic, if discovered
+    const current = findDeviceByTopic(elements.mqttTopic.value);
+    elements.deviceSelector.value = current ? current.topic : '';
+    if (current) {
+        state.mqtt.deviceIeee = current.ieeeAddress;
+    }
+}
+
+/**
+ * Handle device picker change - use the device's topic
+ */
+function handleDeviceSelection(event) {
+    const topic = event.target.value;
+    if (!topic) return;
+
+    elements.mqttTopic.value = topic;
+    handleTopicChange(topic);
+    triggerAutoSave();
+}
+
+/**
+ * Follow a device rename in Zigbee2MQTT (server already updated saved rooms)
+ */
+function handleDeviceRenamed(message) {
+    const room = storageManager.getSensorConfig(message.room);
+    if (room) {
+        room.mqttTopic = message.newTopic;
+        room.deviceIeee = message.ieeeAddress;
+    }
+
+    if (state.mqtt.baseTopic === message.oldTopic) {
+        console.log(`[DISCOVERY] Device renamed: ${message.oldTopic} -> ${message.newTopic}`);
+        elements.mqttTopic.value = message.newTopic;
+        handleTopicChange(message.newTopic);
+    }
+}
+
+// ============================================================================
+// Live Room Updates
+// ============================================================================
+
+/**
+ * Apply a room saved in another tab or on another device
+ */
+function handleRoomChanged(message) {
+    if (message.source === storageManager.clientId || !message.config) return;
+    if (!storageManager.applyRemoteChange(message.room, message.config)) return;
+
+    console.log(`[ROOMS] "${message.room}" updated elsewhere (revision ${message.config.revision})`);
+    populateSensorSelector();
+
+    // Reload the open room in place
+    if (message.room === elements.roomName.value.trim()) {
+        loadSensorConfig(message.room);
+    }
+}
+
+/**
+ * Drop a room deleted in another tab or on another device
+ */
+function handleRoomDeleted(message) {
+    if (message.source === storageManager.clientId) return;
+
+    console.log(`[ROOMS] "${message.room}" deleted elsewhere`);
+    storageManager.applyRemoteDeletion(message.room);
+
+    if (message.room === elements.roomName.value.trim()) {
+        clearCurrentRoom();
+    }
+    populateSensorSelector();
+}
+
+/**
+ * Follow a room renamed in another tab or on another device
+ */
+function handleRoomRenamed(message) {
+    if (message.source === storageManager.clientId) return;
+
+    console.log(`[ROOMS] "${message.oldName}" renamed to "${message.room}" elsewhere`);
+    storageManager.applyRemoteRename(message.oldName, message.room, message.config);
+
+    if (message.oldName === elements.roomName.value.trim()) {
+        elements.roomName.value = message.room;
+        saveCredentials();
+    }
+    populateSensorSelector();
+}
+
+/**
+ * Catch up on room changes missed while the WebSocket was down
+ */
+async function syncRoomsAfterReconnect() {
+    const openRoom = elements.roomName.value.trim();
+    const revisionBefore = storageManager.getSensorConfig(openRoom)?.revision;
+
+    await storageManager.refresh();
+    populateSensorSelector();
+
+    if (!openRoom) return;
+    if (!storageManager.hasSensorConfig(openRoom)) {
+        clearCurrentRoom();
+    } else if (storageManager.getSensorConfig(openRoom).revision !== revisionBefore) {
+        loadSensorConfig(openRoom);
+    }
+}
+
 // ============================================================================
 // MQTT Message Handling
 // ============================================================================
@@ -922,6 +1395,23 @@ function handleMQTTMessage(topic, data) {
             updateOccupancyDisplay();
         }
 
+        // Presence from the LD2410, used to tell ghost targets from people
+        if (data.occupancy !== undefined) {
+            state.sensor.presence = data.occupancy;
+        }
+
+        // Zone settings stored on the sensor (answer to requestDeviceZoneConfig)
+        // A recording shows the sensor's settings at the time, not now
+        const deviceZones = isPlaybackActive() ? null : zoneManager.parseZoneConfigPayload(data);
+        if (deviceZones) {
+            state.sensor.deviceZones = deviceZones;
+            updateZoneDriftBanner();
+        }
+
+        if (!isPlaybackActive()) {
+            updateReportedSettings(data);
+        }
+
         // Update position reporting status
         if (data.position_reporting !== undefined) {
             state.sensor.positionReporting = data.position_reporting;
@@ -985,6 +1475,11 @@ function handleMQTTMessage(topic, data) {
 
         // Build targets array from position data
         updateTargetsFromPositions();
+        updateOccupancyCheck();
+        if (!isPlaybackActive()) {
+            updateLiveHeatmap();
+            updateLiveGhosts();
+        }
 
         // Redraw canvas with current targets
         radarCanvas.drawFrame(state.sensor.targets, state.zones.zones, state.annotations);
@@ -995,8 +1490,14 @@ function handleMQTTMessage(topic, data) {
 }
 
 function updateTargetsFromPositions() {
-    state.sensor.targets = [];
+    state.sensor.targets = getTargetsFromPositions(state.sensor.positions);
+    updateTargetListDisplay();
+}
 
+/**
+ * Build the targets array from raw position data (t1-t3)
+ */
+function getTargetsFromPositions(positions) {
     // Minimum distance from sensor origin to display target (mm)
     const MIN_DISTANCE = 200;
 
@@ -1007,37 +1508,15 @@ function updateTargetsFromPositions() {
         return distance >= MIN_DISTANCE;
     };
 
-    // Add target 1 if active and far enough from sensor
-    if (isValidTarget(state.sensor.positions.t1.x, state.sensor.positions.t1.y)) {
-        state.sensor.targets.push({
-            x: state.sensor.positions.t1.x,
-            y: state.sensor.positions.t1.y,
-            distance: state.sensor.positions.t1.distance,
-            speed: 0
-        });
-    }
-
-    // Add target 2 if active
-    if (isValidTarget(state.sensor.positions.t2.x, state.sensor.positions.t2.y)) {
-        state.sensor.targets.push({
-            x: state.sensor.positions.t2.x,
-            y: state.sensor.positions.t2.y,
-            distance: state.sensor.positions.t2.distance,
-            speed: 0
-        });
-    }
-
-    // Add target 3 if active
-    if (isValidTarget(state.sensor.positions.t3.x, state.sensor.positions.t3.y)) {
-        state.sensor.targets.push({
-            x: state.sensor.positions.t3.x,
-            y: state.sensor.positions.t3.y,
-            distance: state.sensor.positions.t3.distance,
+    return ['t1', 't2', 't3']
+        .map(key => positions[key])
+        .filter(position => isValidTarget(position.x, position.y))
+        .map(position => ({
+            x: position.x,
+            y: position.y,
+            distance: position.distance,
             speed: 0
-        });
-    }
-
-    updateTargetListDisplay();
+        }));
 }
 
 function togglePositionReporting() {
@@ -1096,150 +1575,1614 @@ function publishZoneConfig() {
 
     // Build zone configuration message wrapped in zone_config object
     // Z2M converter expects { zone_config: { zone_type, zone1_enabled, zone1_type, ... } }
-    const config = {
-        zone_config: {
-            zone_type: state.zones.type,
-            zone1_enabled: state.zones.zones[0].enabled,
-            zone1_type: state.zones.zones[0].zoneType || 'detection',
-            zone1_x1: state.zones.zones[0].x1,
-            zone1_y1: state.zones.zones[0].y1,
-            zone1_x2: state.zones.zones[0].x2,
-            zone1_y2: state.zones.zones[0].y2,
-            zone2_enabled: state.zones.zones[1].enabled,
-            zone2_type: state.zones.zones[1].zoneType || 'detection',
-            zone2_x1: state.zones.zones[1].x1,
-            zone2_y1: state.zones.zones[1].y1,
-            zone2_x2: state.zones.zones[1].x2,
-            zone2_y2: state.zones.zones[1].y2,
-            zone3_enabled: state.zones.zones[2].enabled,
-            zone3_type: state.zones.zones[2].zoneType || 'detection',
-            zone3_x1: state.zones.zones[2].x1,
-            zone3_y1: state.zones.zones[2].y1,
-            zone3_x2: state.zones.zones[2].x2,
-            zone3_y2: state.zones.zones[2].y2,
-            zone4_enabled: state.zones.zones[3].enabled,
-            zone4_type: state.zones.zones[3].zoneType || 'detection',
-            zone4_x1: state.zones.zones[3].x1,
-            zone4_y1: state.zones.zones[3].y1,
-            zone4_x2: state.zones.zones[3].x2,
-            zone4_y2: state.zones.zones[3].y2,
-            zone5_enabled: state.zones.zones[4].enabled,
-            zone5_type: state.zones.zones[4].zoneType || 'detection',
-            zone5_x1: state.zones.zones[4].x1,
-            zone5_y1: state.zones.zones[4].y1,
-            zone5_x2: state.zones.zones[4].x2,
-            zone5_y2: state.zones.zones[4].y2
-        }
-    };
+    const config = zoneManager.buildZoneConfigPayload(state.zones);
 
-    // Publish to set topic via backend
-    const topic = `${state.mqtt.baseTopic}/set`;
-    console.log('[ZONE CONFIG] Publishing to:', topic);
+    // The server publishes to <topic>/set, retries and reports progress per zone
+    const requestId = `apply_${Date.now()}_${Math.random().toString(36).slice(2, 8)}`;
+    console.log('[ZONE CONFIG] Applying to:', state.mqtt.baseTopic, requestId);
     console.log('[ZONE CONFIG] Payload:', JSON.stringify(config, null, 2));
 
     const success = sendToBackend({
-        type: 'publish',
-        topic: topic,
+        type: 'apply_zones',
+        requestId,
+        topic: state.mqtt.baseTopic,
         payload: config
     });
 
     if (success) {
-        const zoneModeNames = ['Off', 'Include', 'Exclude'];
-        const zoneDescriptions = enabledZones.map((_, i) => {
-            const zoneNum = state.zones.zones.findIndex(z => z === enabledZones[i]) + 1;
-            return `Zone ${zoneNum}`;
-        }).join(', ');
-        alert(
-            `Zone configuration applied!\n\n` +
-            `Mode: ${zoneModeNames[state.zones.type]}\n` +
-            `Enabled: ${zoneDescriptions || 'None'}\n\n` +
-            `Check serial output for firmware confirmation.`
-        );
+        state.applyRequestId = requestId;
+        updateApplyProgress({ requestId, status: 'pending', attempt: 1, zones: [] });
+        // Settings saved in the room go out with the zones
+        publishSensorSettings(state.sensorSettings);
     } else {
-        alert('Failed to apply zone configuration');
+        updateApplyProgress({ requestId, status: 'failed', error: 'Not connected to the server', zones: [] });
     }
 }
 
-// ============================================================================
-// LocalStorage Functions
-// ============================================================================
+const APPLY_STATUS_TEXT = {
+    pending: 'Sending zones to the sensor...',
+    retrying: 'No confirmation yet, retrying...',
+    success: 'The sensor confirmed every zone',
+    failed: 'Saving to the sensor failed',
+    timeout: 'The sensor did not confirm every zone',
+    cancelled: 'Cancelled'
+};
 
-function saveCredentials() {
-    // Only save room name and topic - broker settings come from addon config
-    const settings = {
-        baseTopic: elements.mqttTopic.value,
-        roomName: elements.roomName.value
-    };
-    localStorage.setItem(STORAGE_KEY, JSON.stringify(settings));
-}
+const APPLY_ZONE_STATUS_TEXT = {
+    pending: 'waiting',
+    confirmed: 'ok',
+    mismatch: 'differs',
+    failed: 'failed',
+    timeout: 'no reply'
+};
 
-function loadCredentials() {
-    try {
-        const saved = localStorage.getItem(STORAGE_KEY);
-        if (saved) {
-            const settings = JSON.parse(saved);
-            if (settings.baseTopic) {
-                elements.mqttTopic.value = settings.baseTopic;
-                state.mqtt.baseTopic = settings.baseTopic; // Also update state!
+/**
+ * Show the progress of a tracked zone apply
+ */
+function updateApplyProgress(message) {
+    if (!elements.applyProgress || message.requestId !== state.applyRequestId) return;
+
+    const done = !['pending', 'retrying'].includes(message.status);
+    const attempt = message.status === 'retrying' ? ` (attempt ${message.attempt}/${message.maxAttempts})` : '';
+    const error = message.error && message.status !== 'success' ? ` - ${message.error}` : '';
+
+    elements.applyProgress.style.display = 'block';
+    elements.applyProgress.classList.toggle('success', message.status === 'success');
+    elements.applyProgress.classList.toggle('failed', done && message.status !== 'success');
+    elements.applyProgressStatus.textContent = `${APPLY_STATUS_TEXT[message.status] || message.status}${attempt}${error}`;
+
+    elements.applyProgressZones.innerHTML = '';
+    (message.zones || []).forEach(zone => {
+        const chip = document.createElement('span');
+        chip.className = `apply-zone-chip ${zone.status}`;
+        chip.textContent = `${zone.zone === 'mode' ? 'Mode' : `Zone ${zone.zone}`}: ${APPLY_ZONE_STATUS_TEXT[zone.status] || zone.status}`;
+        elements.applyProgressZones.appendChild(chip);
+    });
+
+    if (message.status === 'success') {
+        // Hide after 4 seconds unless another apply started
+        setTimeout(() => {
+            if (state.applyRequestId === message.requestId) {
+                elements.applyProgress.style.display = 'none';
             }
-            if (settings.roomName) elements.roomName.value = settings.roomName;
-        }
-    } catch (error) {
-        console.error('Error loading credentials:', error);
+        }, 4000);
     }
 }
 
 // ============================================================================
-// Sensor Configuration Functions
+// Sensor Zone Read-back
 // ============================================================================
 
 /**
- * Populate the sensor selector dropdown with saved rooms
+ * Ask the sensor for the zone settings it holds in flash
+ * The answer arrives as a normal device state message
  */
-function populateSensorSelector() {
-    const savedRooms = storageManager.getSavedSensors();
+function requestDeviceZoneConfig() {
+    if (!state.mqtt.connected || !state.mqtt.baseTopic) return;
 
-    // Clear existing options except the placeholder
-    elements.sensorSelector.innerHTML = '<option value="">-- Select a saved room --</option>';
+    sendToBackend({
+        type: 'publish',
+        topic: `${state.mqtt.baseTopic}/get`,
+        payload: { zone_config: '' }
+    });
+}
 
-    // Add "Create new room" option
-    const createOption = document.createElement('option');
-    createOption.value = '__create_new__';
-    createOption.textContent = '+ Create new room';
-    elements.sensorSelector.appendChild(createOption);
+/**
+ * Show the drift banner when the sensor's zones differ from the saved room
+ */
+function updateZoneDriftBanner() {
+    if (!elements.zoneDriftBanner) return;
 
-    // Add separator if there are saved rooms
-    if (savedRooms.length > 0) {
-        const separator = document.createElement('option');
-        separator.disabled = true;
-        separator.textContent = '— Saved Rooms —';
-        elements.sensorSelector.appendChild(separator);
-    }
+    const roomName = elements.roomName.value.trim();
+    const saved = storageManager.getSensorConfig(roomName);
+    const deviceZones = state.sensor.deviceZones;
 
-    // Add saved rooms
-    savedRooms.forEach(roomName => {
-        const option = document.createElement('option');
-        option.value = roomName;
-        option.textContent = roomName;
-        elements.sensorSelector.appendChild(option);
-    });
+    if (!saved || !deviceZones) {
+        elements.zoneDriftBanner.style.display = 'none';
+        return;
+    }
 
-    // Select current room if it exists in saved rooms
-    const currentRoom = elements.roomName.value;
-    if (currentRoom && savedRooms.includes(currentRoom)) {
-        elements.sensorSelector.value = currentRoom;
+    const differences = zoneManager.diffDeviceZones(storageManager.migrateZoneConfig(saved.zones), deviceZones);
+    if (differences.length === 0) {
+        elements.zoneDriftBanner.style.display = 'none';
+        return;
     }
+
+    elements.zoneDriftText.textContent = `The sensor differs from "${roomName}": ${differences.join(', ')}`;
+    elements.zoneDriftBanner.style.display = 'flex';
 }
 
 /**
- * Load configuration for a specific room
+ * Replace the room's zones with the ones stored on the sensor
  */
-function loadSensorConfig(roomName) {
-    const config = storageManager.getSensorConfig(roomName);
+function pullZonesFromSensor() {
+    if (!state.sensor.deviceZones) return;
 
-    if (config) {
-        // Load zones with migration for old format
-        state.zones = storageManager.migrateZoneConfig(config.zones);
+    zoneManager.pullDeviceZones(state.zones, state.sensor.deviceZones);
+
+    loadZoneFormValues();
+    radarCanvas.drawFrame(state.sensor.targets, state.zones.zones, state.annotations);
+    triggerAutoSave();
+}
+
+/**
+ * Send the room's zones to the sensor
+ */
+async function pushZonesToSensor() {
+    saveZoneFormValues();
+    await saveCurrentSensorConfig();
+    publishZoneConfig();
+}
+
+// ============================================================================
+// Sensor Settings
+// ============================================================================
+
+// The server lists the writable exposes of each discovered SHS01 (sensitivity,
+// timeouts, distance limits, ...). Changes go to <topic>/set straight away and
+// are kept in the room, so they can be sent again with the zones.
+
+/**
+ * Settings the current sensor exposes (empty if it wasn't discovered)
+ */
+function getSensorSettingDefinitions() {
+    return findDeviceByTopic(state.mqtt.baseTopic)?.settings || [];
+}
+
+/**
+ * Take the sensor settings of a room config (null for none)
+ */
+function loadSensorSettingsState(config) {
+    state.sensorSettings = { ...(config?.settings || {}) };
+    renderSensorSettings();
+}
+
+function renderSensorSettings() {
+    const list = elements.sensorSettingsList;
+    if (!list) return;
+
+    const definitions = getSensorSettingDefinitions();
+    list.innerHTML = '';
+
+    if (definitions.length === 0) {
+        list.innerHTML = findDeviceByTopic(state.mqtt.baseTopic)
+            ? '<p class="text-muted">This sensor has no adjustable settings.</p>'
+            : '<p class="text-muted">Settings are shown for SHS01 sensors discovered from Zigbee2MQTT.</p>';
+    }
+
+    definitions.forEach(setting => list.appendChild(createSettingRow(setting)));
+
+    if (elements.applySettingsBtn) {
+        elements.applySettingsBtn.disabled = !canWrite() || Object.keys(state.sensorSettings).length === 0;
+    }
+}
+
+/**
+ * Build the control for one setting: slider, dropdown or switch
+ */
+function createSettingRow(setting) {
+    const row = document.createElement('div');
+    row.className = 'sensor-setting';
+    row.dataset.property = setting.property;
+
+    const label = document.createElement('label');
+    label.textContent = setting.label;
+    label.title = setting.description;
+
+    let control;
+    if (setting.type === 'numeric') {
+        control = document.createElement('input');
+        // Without limits a slider can't be drawn
+        control.type = setting.min !== undefined && setting.max !== undefined ? 'range' : 'number';
+        if (setting.min !== undefined) control.min = setting.min;
+        if (setting.max !== undefined) control.max = setting.max;
+        control.step = setting.step || 1;
+    } else if (setting.type === 'enum') {
+        control = document.createElement('select');
+        (setting.values || []).forEach(value => control.appendChild(new Option(value, value)));
+    } else {
+        control = document.createElement('input');
+        control.type = 'checkbox';
+    }
+    control.className = 'sensor-setting-control';
+    control.disabled = !canWrite();
+
+    const valueText = document.createElement('span');
+    valueText.className = 'sensor-setting-value';
+
+    const hint = document.createElement('small');
+    hint.className = 'sensor-setting-hint';
+
+    control.addEventListener('input', () => {
+        if (control.type === 'range') valueText.textContent = formatSettingValue(setting, Number(control.value));
+    });
+    control.addEventListener('change', () => changeSensorSetting(setting, readSettingControl(setting, control)));
+
+    row.append(label, control, valueText, hint);
+    updateSettingRow(row, setting);
+    return row;
+}
+
+function readSettingControl(setting, control) {
+    if (setting.type === 'numeric') return Number(control.value);
+    if (setting.type === 'enum') return control.value;
+    return control.checked ? (setting.valueOn ?? true) : (setting.valueOff ?? false);
+}
+
+function formatSettingValue(setting, value) {
+    if (value === undefined) return '—';
+    if (setting.type === 'binary') return value === (setting.valueOn ?? true) ? 'On' : 'Off';
+    return setting.unit ? `${value} ${setting.unit}` : String(value);
+}
+
+/**
+ * Show the value the sensor reports (or the saved one until it reports),
+ * and the saved value when the two differ
+ */
+function updateSettingRow(row, setting) {
+    const reported = state.sensor.settingValues[setting.property];
+    const saved = state.sensorSettings[setting.property];
+    const value = reported ?? saved;
+
+    const control = row.querySelector('.sensor-setting-control');
+    if (value !== undefined && document.activeElement !== control) {
+        if (setting.type === 'binary') {
+            control.checked = value === (setting.valueOn ?? true);
+        } else {
+            control.value = value;
+        }
+    }
+    row.querySelector('.sensor-setting-value').textContent = formatSettingValue(setting, value);
+
+    const differs = saved !== undefined && reported !== undefined && saved !== reported;
+    row.classList.toggle('differs', differs);
+    row.querySelector('.sensor-setting-hint').textContent = differs
+        ? `Saved in room: ${formatSettingValue(setting, saved)}`
+        : '';
+}
+
+/**
+ * Keep setting values from the sensor's reports
+ */
+function updateReportedSettings(data) {
+    getSensorSettingDefinitions().forEach(setting => {
+        const value = data[setting.property];
+        if (value === undefined || value === state.sensor.settingValues[setting.property]) return;
+
+        state.sensor.settingValues[setting.property] = value;
+        const row = elements.sensorSettingsList?.querySelector(`[data-property="${CSS.escape(setting.property)}"]`);
+        if (row) updateSettingRow(row, setting);
+    });
+}
+
+/**
+ * Send a changed setting to the sensor and keep it in the room
+ */
+function changeSensorSetting(setting, value) {
+    if (!state.mqtt.connected) {
+        alert('Not connected to MQTT broker');
+        renderSensorSettings();
+        return;
+    }
+
+    publishSensorSettings({ [setting.property]: value });
+    state.sensorSettings[setting.property] = value;
+    renderSensorSettings();
+    triggerAutoSave();
+}
+
+/**
+ * Publish settings to <topic>/set in one message
+ */
+function publishSensorSettings(settings) {
+    if (Object.keys(settings).length === 0) return false;
+
+    console.log('[SETTINGS] Applying to:', state.mqtt.baseTopic, settings);
+    return sendToBackend({
+        type: 'publish',
+        topic: `${state.mqtt.baseTopic}/set`,
+        payload: settings
+    });
+}
+
+/**
+ * Send every setting saved in the room to the sensor
+ */
+function applySavedSensorSettings() {
+    if (!state.mqtt.connected) {
+        alert('Not connected to MQTT broker');
+        return;
+    }
+    publishSensorSettings(state.sensorSettings);
+}
+
+// ============================================================================
+// Session Recording
+// ============================================================================
+
+// The server records a room's sensor messages to session files, so they can be
+// reviewed after the fact. Recording keeps going with the tab closed.
+
+/**
+ * Load the recorded sessions from the server
+ */
+async function loadRecordings() {
+    const data = await storageManager.listRecordings();
+    if (!data) return;
+
+    state.recordings.list = data.recordings || [];
+    state.recordings.active = data.active || [];
+    renderRecordings();
+}
+
+/**
+ * The recording in progress for the current room, if any
+ */
+function getRoomRecording() {
+    const roomName = elements.roomName.value.trim();
+    return state.recordings.active.find(recording => recording.room === roomName) || null;
+}
+
+function formatFileSize(bytes) {
+    if (bytes < 1024) return `${bytes} B`;
+    if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+    return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
+
+function formatDuration(ms) {
+    const minutes = Math.round(ms / 60000);
+    if (minutes < 60) return `${minutes} min`;
+    return `${Math.floor(minutes / 60)} h ${minutes % 60} min`;
+}
+
+function renderRecordings() {
+    if (!elements.recordingList) return;
+
+    const readOnly = !canWrite();
+    const roomName = elements.roomName.value.trim();
+    const saved = roomName ? storageManager.getSensorConfig(roomName) : null;
+    const active = getRoomRecording();
+
+    elements.recordingToggleBtn.textContent = active ? 'Stop Recording' : 'Start Recording';
+    elements.recordingToggleBtn.classList.toggle('btn-warning', Boolean(active));
+    elements.recordingToggleBtn.disabled = readOnly || (!active && !saved?.mqttTopic);
+    elements.recordingStatus.classList.toggle('active', Boolean(active));
+    if (active) {
+        const since = new Date(active.startedAt).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+        elements.recordingStatus.textContent = `Recording since ${since}`;
+    } else {
+        elements.recordingStatus.textContent = saved?.mqttTopic ? '' : 'Save the room with an MQTT topic to record it.';
+    }
+
+    const list = elements.recordingList;
+    list.innerHTML = '';
+    if (state.recordings.list.length === 0) {
+        list.innerHTML = '<p class="text-muted">No recordings yet.</p>';
+        return;
+    }
+
+    state.recordings.list.forEach(session => {
+        const item = document.createElement('div');
+        item.className = 'recording-item';
+
+        const started = new Date(session.startedAt);
+        const info = document.createElement('div');
+        info.className = 'recording-info';
+        const title = document.createElement('strong');
+        title.textContent = session.room;
+        const details = document.createElement('small');
+        details.textContent = [
+            started.toLocaleString([], { day: 'numeric', month: 'short', hour: '2-digit', minute: '2-digit' }),
+            session.active ? 'recording' : formatDuration(new Date(session.endedAt) - started),
+            formatFileSize(session.size)
+        ].join(' · ');
+        info.append(title, details);
+
+        const actions = document.createElement('div');
+        actions.className = 'recording-actions';
+        const playBtn = document.createElement('button');
+        playBtn.className = 'btn btn-small btn-primary';
+        playBtn.textContent = 'Play';
+        playBtn.title = 'Replay on the radar with the current zones';
+        playBtn.addEventListener('click', () => startPlayback(session));
+        actions.appendChild(playBtn);
+        ['ndjson', 'csv'].forEach(format => {
+            const link = document.createElement('a');
+            link.className = 'btn btn-small btn-secondary';
+            link.href = storageManager.getRecordingUrl(session.id, format);
+            link.download = `${session.id}.${format}`;
+            link.textContent = format.toUpperCase();
+            actions.appendChild(link);
+        });
+        const deleteBtn = document.createElement('button');
+        deleteBtn.className = 'btn btn-small btn-secondary';
+        deleteBtn.textContent = 'Delete';
+        deleteBtn.disabled = readOnly || session.active;
+        deleteBtn.addEventListener('click', () => deleteRecording(session));
+        actions.appendChild(deleteBtn);
+
+        item.append(info, actions);
+        list.appendChild(item);
+    });
+}
+
+/**
+ * Start or stop recording the current room
+ */
+async function toggleRecording() {
+    const active = getRoomRecording();
+    if (active) {
+        if (!await storageManager.stopRecording(active.id)) {
+            alert('Failed to stop the recording');
+        }
+    } else {
+        // The server records the topic saved in the room
+        await saveCurrentSensorConfig();
+        const result = await storageManager.startRecording(elements.roomName.value.trim());
+        if (result.error) {
+            alert(`Could not start recording: ${result.error}`);
+        }
+    }
+    await loadRecordings();
+}
+
+async function deleteRecording(session) {
+    const started = new Date(session.startedAt).toLocaleString();
+    if (!confirm(`Delete the recording of "${session.room}" from ${started}?`)) return;
+
+    if (!await storageManager.deleteRecording(session.id)) {
+        alert('Failed to delete the recording');
+    }
+    await loadRecordings();
+}
+
+// ============================================================================
+// Session Playback
+// ============================================================================
+
+// A recorded session is replayed through handleMQTTMessage like live data, so
+// targets, zone occupancy and the occupancy check use the zones as they are
+// drawn now. Live messages are dropped while playing and the live state is
+// restored on exit.
+
+const PLAYBACK_TICK_MS = 50;
+
+const playback = {
+    session: null,     // Header of the recording being played
+    frames: [],        // [{ time: ms since start, data }]
+    duration: 0,
+    position: 0,       // ms since start
+    index: -1,         // Frame shown last
+    playing: false,
+    speed: 1,
+    timer: null,
+    lastTick: 0,
+    live: null         // Live sensor state to restore on exit
+};
+
+function isPlaybackActive() {
+    return playback.session !== null;
+}
+
+/**
+ * The sensor state shown now, as a device message that restores it
+ */
+function getLiveSensorSnapshot() {
+    const snapshot = {
+        ld2450_target_count: state.sensor.targetCount,
+        occupancy_ld2450: state.sensor.occupancy,
+        occupancy: state.sensor.presence,
+        position_reporting: state.sensor.positionReporting
+    };
+    state.sensor.zones.forEach((zone, index) => {
+        snapshot[`zone${index + 1}_occupied`] = zone.occupied;
+    });
+    ['t1', 't2', 't3'].forEach((key, index) => {
+        const position = state.sensor.positions[key];
+        snapshot[`target${index + 1}_x`] = position.x;
+        snapshot[`target${index + 1}_y`] = position.y;
+        snapshot[`target${index + 1}_distance`] = position.distance;
+    });
+    return snapshot;
+}
+
+/**
+ * Targets and presence at each frame of a session, for analysing it as a whole
+ * @returns {Array} [{ time, targets, presence }]
+ */
+function getSessionTargetFrames(frames) {
+    const positions = {
+        t1: { x: 0, y: 0 },
+        t2: { x: 0, y: 0 },
+        t3: { x: 0, y: 0 }
+    };
+    let presence = null;
+
+    // Messages may carry only some fields, so values carry over like live data
+    return frames.map(frame => {
+        ['t1', 't2', 't3'].forEach((key, index) => {
+            const x = frame.data[`target${index + 1}_x`];
+            const y = frame.data[`target${index + 1}_y`];
+            if (x !== undefined) positions[key].x = x;
+            if (y !== undefined) positions[key].y = y;
+        });
+        if (frame.data.occupancy !== undefined) presence = frame.data.occupancy;
+        return { time: frame.time, targets: getTargetsFromPositions(positions), presence };
+    });
+}
+
+/**
+ * Load a recorded session and show it on the canvas
+ */
+async function startPlayback(recording) {
+    const loaded = await storageManager.loadRecording(recording.id);
+    if (!loaded) {
+        alert('Failed to load the recording');
+        return;
+    }
+    if (loaded.entries.length === 0) {
+        alert('This recording has no sensor messages yet.');
+        return;
+    }
+
+    if (!isPlaybackActive()) {
+        playback.live = getLiveSensorSnapshot();
+    }
+    pausePlayback();
+
+    const start = Date.parse(loaded.session?.startedAt || loaded.entries[0].t);
+    playback.session = loaded.session || { room: recording.room, topic: recording.topic, startedAt: new Date(start).toISOString() };
+    playback.frames = loaded.entries.map(entry => ({ time: Date.parse(entry.t) - start, data: entry.data }));
+    playback.duration = playback.frames[playback.frames.length - 1].time;
+    playback.index = -1;
+
+    elements.playbackTitle.textContent = playback.session.room;
+    elements.playbackScrubber.max = playback.duration;
+    elements.playbackBar.style.display = 'flex';
+
+    const targetFrames = getSessionTargetFrames(playback.frames);
+    sessionHeatmap = buildSessionHeatmap(targetFrames);
+    sessionGhostDetector = buildSessionGhostDetector(targetFrames);
+    applyHeatmapView();
+    renderGhosts();
+
+    seekPlayback(0);
+    playPlayback();
+}
+
+/**
+ * Show the latest frame at a position
+ */
+function seekPlayback(position) {
+    playback.position = Math.max(0, Math.min(position, playback.duration));
+
+    // Last frame at or before the position
+    let low = 0;
+    let high = playback.frames.length - 1;
+    let index = -1;
+    while (low <= high) {
+        const mid = (low + high) >> 1;
+        if (playback.frames[mid].time <= playback.position) {
+            index = mid;
+            low = mid + 1;
+        } else {
+            high = mid - 1;
+        }
+    }
+
+    // Messages may carry only some fields, so the frames skipped at high speed
+    // or by scrubbing are merged in (from the start after seeking back)
+    if (index >= 0 && index !== playback.index) {
+        const first = index > playback.index ? playback.index + 1 : 0;
+        const data = {};
+        for (let i = first; i <= index; i++) {
+            Object.assign(data, playback.frames[i].data);
+        }
+        playback.index = index;
+        handleMQTTMessage(playback.session.topic, data);
+    }
+    renderPlaybackBar();
+}
+
+function tickPlayback() {
+    const now = performance.now();
+    let position = playback.position + (now - playback.lastTick) * playback.speed;
+    playback.lastTick = now;
+
+    if (position >= playback.duration) {
+        if (elements.playbackLoop.checked && playback.duration > 0) {
+            position = 0;
+            playback.index = -1;
+        } else {
+            seekPlayback(playback.duration);
+            pausePlayback();
+            return;
+        }
+    }
+    seekPlayback(position);
+}
+
+function playPlayback() {
+    if (!isPlaybackActive() || playback.playing) return;
+
+    // Play from the start again once the end was reached
+    if (playback.position >= playback.duration) {
+        playback.index = -1;
+        seekPlayback(0);
+    }
+    playback.playing = true;
+    playback.lastTick = performance.now();
+    playback.timer = setInterval(tickPlayback, PLAYBACK_TICK_MS);
+    renderPlaybackBar();
+}
+
+function pausePlayback() {
+    playback.playing = false;
+    clearInterval(playback.timer);
+    playback.timer = null;
+    if (isPlaybackActive()) renderPlaybackBar();
+}
+
+/**
+ * Leave playback and go back to live data
+ */
+function stopPlayback() {
+    if (!isPlaybackActive()) return;
+
+    pausePlayback();
+    const topic = playback.session.topic;
+    playback.session = null;
+    playback.frames = [];
+    elements.playbackBar.style.display = 'none';
+    sessionHeatmap = null;
+    sessionGhostDetector = null;
+    applyHeatmapView();
+    renderGhosts();
+
+    handleMQTTMessage(topic, playback.live);
+    playback.live = null;
+}
+
+function formatPlaybackTime(ms) {
+    const seconds = Math.floor(ms / 1000);
+    const hours = Math.floor(seconds / 3600);
+    const mm = String(Math.floor(seconds / 60) % 60).padStart(hours ? 2 : 1, '0');
+    const ss = String(seconds % 60).padStart(2, '0');
+    return hours ? `${hours}:${mm}:${ss}` : `${mm}:${ss}`;
+}
+
+function renderPlaybackBar() {
+    const clock = new Date(Date.parse(playback.session.startedAt) + playback.position);
+    elements.playbackPlayBtn.textContent = playback.playing ? 'Pause' : 'Play';
+    elements.playbackScrubber.value = playback.position;
+    elements.playbackTime.textContent = `${formatPlaybackTime(playback.position)} / ${formatPlaybackTime(playback.duration)}`;
+    elements.playbackTime.title = clock.toLocaleString();
+}
+
+// ============================================================================
+// Occupancy Heatmap
+// ============================================================================
+
+// Dwell time per 10 cm cell, drawn under furniture and zones to show where
+// people actually spend their time. Live data fills a sliding window; during
+// playback the whole recorded session is shown instead.
+
+const liveHeatmap = new Heatmap();
+liveHeatmap.setWindow(state.heatmap.windowMs);
+
+let sessionHeatmap = null; // Built from the frames of the session being played
+
+function getShownHeatmap() {
+    return isPlaybackActive() ? sessionHeatmap : liveHeatmap;
+}
+
+/**
+ * Credit the targets shown until now to the live heatmap
+ */
+function updateLiveHeatmap() {
+    liveHeatmap.addFrame(state.sensor.targets, Date.now());
+    renderHeatmapLegend();
+}
+
+/**
+ * Accumulate the targets of every frame of a recorded session
+ */
+function buildSessionHeatmap(targetFrames) {
+    const heatmap = new Heatmap();
+    targetFrames.forEach(frame => heatmap.addFrame(frame.targets, frame.time));
+    return heatmap;
+}
+
+/**
+ * Show or hide the heatmap on the canvas and refresh the legend
+ */
+function applyHeatmapView() {
+    radarCanvas.setHeatmap(state.heatmap.visible ? getShownHeatmap() : null, state.heatmap.opacity);
+    renderHeatmapLegend();
+}
+
+function renderHeatmapLegend() {
+    if (!elements.heatmapLegend) return;
+
+    const heatmap = getShownHeatmap();
+    const max = heatmap ? heatmap.getMaxDwell() : 0;
+    elements.heatmapLegend.classList.toggle('inactive', !state.heatmap.visible);
+    elements.heatmapLegendMax.textContent = max > 0 ? formatPlaybackTime(max) : '–';
+
+    if (isPlaybackActive()) {
+        elements.heatmapSource.textContent = `Whole session of ${playback.session.room}`;
+    } else {
+        const windowLabel = elements.heatmapWindow.selectedOptions[0]?.textContent.toLowerCase();
+        elements.heatmapSource.textContent = `Live data, ${windowLabel}`;
+    }
+    elements.heatmapWindow.disabled = isPlaybackActive();
+    elements.heatmapClearBtn.disabled = isPlaybackActive();
+}
+
+function clearLiveHeatmap() {
+    liveHeatmap.clear();
+    renderHeatmapLegend();
+}
+
+// ============================================================================
+// Zone Suggestions
+// ============================================================================
+
+// Proposes rectangles around the spots where targets spent the most time, from
+// the heatmap shown (live window or recorded session). Proposals are drawn as
+// previews and only become zones when added to a free slot.
+
+function suggestZones() {
+    const suggestions = getShownHeatmap().suggestZones(state.zones.zones);
+
+    state.zoneSuggestions = suggestions;
+    if (suggestions.length === 0) {
+        alert('No busy spots outside the existing zones yet. Let the heatmap collect more movement, or play a longer recording.');
+    }
+    renderZoneSuggestions();
+}
+
+/**
+ * Drawing preview showing the suggestions, or null without any
+ */
+function getZoneSuggestionPreview() {
+    return state.zoneSuggestions.length > 0 ? { type: 'suggestions', rects: state.zoneSuggestions } : null;
+}
+
+function renderZoneSuggestions() {
+    radarCanvas.setDrawingPreview(getZoneSuggestionPreview());
+    if (!elements.zoneSuggestionList) return;
+
+    const list = elements.zoneSuggestionList;
+    list.innerHTML = '';
+    elements.dismissSuggestionsBtn.style.display = state.zoneSuggestions.length > 0 ? '' : 'none';
+
+    state.zoneSuggestions.forEach((rect, index) => {
+        const item = document.createElement('div');
+        item.className = 'suggestion-item';
+
+        const info = document.createElement('span');
+        const width = ((rect.x2 - rect.x1) / 1000).toFixed(1);
+        const depth = ((rect.y2 - rect.y1) / 1000).toFixed(1);
+        info.textContent = `${index + 1} · ${width} × ${depth} m · ${Math.round(rect.share * 100)}% of the time`;
+
+        const addBtn = document.createElement('button');
+        addBtn.className = 'btn btn-small btn-secondary';
+        addBtn.textContent = 'Add';
+        addBtn.title = 'Add as a zone in the next free slot';
+        addBtn.addEventListener('click', () => acceptZoneSuggestion(index));
+
+        item.append(info, addBtn);
+        list.appendChild(item);
+    });
+}
+
+/**
+ * Turn a suggestion into a rectangle zone in the next free slot
+ */
+function acceptZoneSuggestion(index) {
+    const slot = drawingManager.getNextAvailableZoneSlot();
+    if (slot === -1) {
+        alert('Maximum 5 zones. Delete one to add another.');
+        return;
+    }
+
+    const rect = state.zoneSuggestions[index];
+    const zone = state.zones.zones[slot];
+    zone.enabled = true;
+    zone.shapeType = 'rectangle';
+    zone.x1 = rect.x1;
+    zone.y1 = rect.y1;
+    zone.x2 = rect.x2;
+    zone.y2 = rect.y2;
+    zone.vertices = null;
+    if (!zone.zoneType) zone.zoneType = 'detection';
+
+    state.zoneSuggestions.splice(index, 1);
+    renderZoneSuggestions();
+
+    loadZoneFormValues();
+    updateZoneCards();
+    triggerAutoSave();
+}
+
+function dismissZoneSuggestions() {
+    state.zoneSuggestions = [];
+    renderZoneSuggestions();
+}
+
+// ============================================================================
+// Ghost Targets
+// ============================================================================
+
+// Fans, curtains and mirrors show up as targets that stay at one spot, often
+// while the LD2410 reports nobody present. Such tracks are flagged on the
+// canvas with an offer to cover them with an interference zone.
+
+const GHOST_ZONE_MARGIN = 150; // mm added around the observed jitter
+
+const liveGhostDetector = new GhostDetector();
+let sessionGhostDetector = null; // Built from the frames of the session being played
+let ghostListKey = null; // Ghosts in the list, so it is only rebuilt when they change
+
+function getShownGhostDetector() {
+    return isPlaybackActive() ? sessionGhostDetector : liveGhostDetector;
+}
+
+function updateLiveGhosts() {
+    liveGhostDetector.addFrame(state.sensor.targets, Date.now(), state.sensor.presence);
+    renderGhosts();
+}
+
+/**
+ * Run the ghost detector over every frame of a recorded session
+ */
+function buildSessionGhostDetector(targetFrames) {
+    const detector = new GhostDetector();
+    targetFrames.forEach(frame => detector.addFrame(frame.targets, frame.time, frame.presence));
+    return detector;
+}
+
+/**
+ * Interference zone rectangle covering a ghost's jitter, on the 100mm grid
+ */
+function getGhostZoneRect(ghost) {
+    const range = radarCanvas.SENSOR_RANGE;
+    return {
+        x1: Math.max(range.X_MIN, Math.floor((ghost.x1 - GHOST_ZONE_MARGIN) / 100) * 100),
+        y1: Math.max(range.Y_MIN, Math.floor((ghost.y1 - GHOST_ZONE_MARGIN) / 100) * 100),
+        x2: Math.min(range.X_MAX, Math.ceil((ghost.x2 + GHOST_ZONE_MARGIN) / 100) * 100),
+        y2: Math.min(range.Y_MAX, Math.ceil((ghost.y2 + GHOST_ZONE_MARGIN) / 100) * 100)
+    };
+}
+
+/**
+ * Ghosts that no interference zone covers yet
+ */
+function getUncoveredGhosts() {
+    const detector = getShownGhostDetector();
+    if (!detector) return [];
+
+    return detector.getGhosts().filter(ghost => !state.zones.zones.some(zone =>
+        zone.enabled && zone.zoneType === 'interference' && zoneManager.isPointInZone(ghost.x, ghost.y, zone)
+    ));
+}
+
+function renderGhosts() {
+    const ghosts = getUncoveredGhosts();
+    radarCanvas.setGhostTargets(ghosts.map(ghost => ({ ...ghost, ...getGhostZoneRect(ghost) })));
+    if (!elements.ghostList) return;
+
+    // Rebuilding on every message would swallow clicks, so only when a ghost
+    // comes or goes, or its duration passes another minute
+    const key = ghosts.map(ghost => `${ghost.id}:${Math.floor(ghost.duration / 60000)}`).join(',');
+    if (key === ghostListKey) return;
+    ghostListKey = key;
+
+    const list = elements.ghostList;
+    list.innerHTML = '';
+    if (ghosts.length === 0) return;
+
+    const title = document.createElement('div');
+    title.className = 'ghost-list-title';
+    title.textContent = 'Likely ghost targets';
+    list.appendChild(title);
+
+    ghosts.forEach(ghost => {
+        const item = document.createElement('div');
+        item.className = 'ghost-item';
+
+        const info = document.createElement('div');
+        info.className = 'ghost-info';
+        const position = document.createElement('strong');
+        position.textContent = `X=${ghost.x}mm, Y=${ghost.y}mm`;
+        const details = document.createElement('small');
+        details.textContent = [
+            `still for ${formatDuration(ghost.duration)}`,
+            `jitter ${Math.round(ghost.x2 - ghost.x1)} × ${Math.round(ghost.y2 - ghost.y1)} mm`,
+            ghost.absentShare !== null ? `presence off ${Math.round(ghost.absentShare * 100)}% of the time` : 'no presence report'
+        ].join(' · ');
+        info.append(position, details);
+
+        const actions = document.createElement('div');
+        actions.className = 'ghost-actions';
+        const addBtn = document.createElement('button');
+        addBtn.className = 'btn btn-small btn-secondary';
+        addBtn.textContent = 'Add Interference Zone';
+        addBtn.title = 'Cover the jitter with an interference zone in the next free slot';
+        addBtn.addEventListener('click', () => addGhostInterferenceZone(ghost));
+        const ignoreBtn = document.createElement('button');
+        ignoreBtn.className = 'btn btn-small btn-secondary';
+        ignoreBtn.textContent = 'Ignore';
+        ignoreBtn.title = 'This is a real target';
+        ignoreBtn.addEventListener('click', () => ignoreGhost(ghost));
+        actions.append(addBtn, ignoreBtn);
+
+        item.append(info, actions);
+        list.appendChild(item);
+    });
+}
+
+/**
+ * Cover a ghost with an interference zone in the next free slot
+ */
+function addGhostInterferenceZone(ghost) {
+    const slot = drawingManager.getNextAvailableZoneSlot();
+    if (slot === -1) {
+        alert('Maximum 5 zones. Delete one to add another.');
+        return;
+    }
+
+    const rect = getGhostZoneRect(ghost);
+    const zone = state.zones.zones[slot];
+    zone.enabled = true;
+    zone.shapeType = 'rectangle';
+    zone.x1 = rect.x1;
+    zone.y1 = rect.y1;
+    zone.x2 = rect.x2;
+    zone.y2 = rect.y2;
+    zone.vertices = null;
+    zone.zoneType = 'interference';
+
+    loadZoneFormValues();
+    updateZoneCards();
+    triggerAutoSave();
+    renderGhosts();
+
+    // Interference zones only filter targets in Include or Exclude mode
+    if (state.zones.type === 0) {
+        alert(`Added an interference zone as zone ${slot + 1}. Set the zone mode to Include or Exclude for the sensor to ignore targets in it.`);
+    }
+}
+
+function ignoreGhost(ghost) {
+    getShownGhostDetector()?.dismiss(ghost.id);
+    renderGhosts();
+}
+
+function clearLiveGhosts() {
+    liveGhostDetector.clear();
+    renderGhosts();
+}
+
+// ============================================================================
+// Device Link Health
+// ============================================================================
+
+// With position reporting on the sensor reports several times a second, so
+// a gap this long means it dropped off the network
+const DEVICE_SILENT_AFTER_MS = 15000;
+let deviceStatusTimer = null;
+
+/**
+ * Store the server's link health for the current sensor (null clears it)
+ */
+function handleDeviceHealth(message) {
+    if (message && message.topic !== state.mqtt.baseTopic) return;
+
+    state.sensor.health = message ? { ...message, receivedAt: Date.now() } : null;
+    if (!deviceStatusTimer && state.sensor.health) {
+        deviceStatusTimer = setInterval(renderDeviceStatus, 1000);
+    }
+    renderDeviceStatus();
+}
+
+/**
+ * Time since the sensor's last report, counted on from the last status
+ */
+function getLastReportAge() {
+    const health = state.sensor.health;
+    if (!health || health.lastMessageAge === null) return null;
+    return health.lastMessageAge + (Date.now() - health.receivedAt);
+}
+
+function formatAge(ms) {
+    const seconds = Math.floor(ms / 1000);
+    if (seconds < 60) return `${seconds}s ago`;
+    if (seconds < 3600) return `${Math.floor(seconds / 60)} min ago`;
+    return `${Math.floor(seconds / 3600)} h ago`;
+}
+
+/**
+ * Zigbee link quality (0-255) in words
+ */
+function describeLinkQuality(linkquality) {
+    if (linkquality >= 100) return 'good';
+    if (linkquality >= 50) return 'fair';
+    return 'weak';
+}
+
+function renderDeviceStatus() {
+    if (!elements.deviceStatus) return;
+
+    const health = state.sensor.health;
+    if (!health) {
+        clearInterval(deviceStatusTimer);
+        deviceStatusTimer = null;
+        elements.deviceStatus.style.display = 'none';
+        return;
+    }
+
+    const age = getLastReportAge();
+    const silent = state.sensor.positionReporting && health.availability !== 'offline'
+        && (age === null || age > DEVICE_SILENT_AFTER_MS);
+
+    const parts = [health.availability === 'online' ? 'Sensor online'
+        : health.availability === 'offline' ? 'Sensor offline' : 'Sensor'];
+    if (health.linkquality !== null) {
+        parts.push(`signal ${describeLinkQuality(health.linkquality)} (${health.linkquality})`);
+    }
+    if (silent) {
+        parts.push(age === null ? 'no reports yet' : `no reports for ${Math.floor(age / 1000)}s`);
+    } else if (age !== null) {
+        parts.push(`last report ${formatAge(age)}`);
+    }
+    elements.deviceStatusText.textContent = parts.join(' · ');
+
+    const details = [`${health.messagesPerMinute} reports in the last minute`];
+    if (health.lastSeen) {
+        details.push(`Last seen by Zigbee2MQTT: ${new Date(health.lastSeen).toLocaleString()}`);
+    }
+    if (silent) {
+        details.push('Position reporting is on but the sensor has stopped reporting. Check that it is powered and in range.');
+    }
+    elements.deviceStatus.title = details.join('\n');
+
+    elements.deviceStatusIndicator.classList.toggle('online', health.availability === 'online' && !silent);
+    elements.deviceStatus.classList.toggle('silent', silent);
+    elements.deviceStatus.style.display = 'flex';
+}
+
+// ============================================================================
+// Position Reporting Auto-Off
+// ============================================================================
+
+// The server turns position reporting off after a timeout (see the watchdog in
+// server.js); this shows when that happens and lets an admin push it back
+let reportingCountdownTimer = null;
+
+/**
+ * Store the server's auto-off status for the current sensor
+ */
+function handleReportingWatchdog(message) {
+    if (message.topic !== state.mqtt.baseTopic) return;
+
+    state.sensor.reportingWatchdog = message.active ? message : null;
+    clearInterval(reportingCountdownTimer);
+    reportingCountdownTimer = null;
+    if (state.sensor.reportingWatchdog?.offAt) {
+        reportingCountdownTimer = setInterval(renderReportingCountdown, 1000);
+    }
+    renderReportingCountdown();
+}
+
+function renderReportingCountdown() {
+    if (!elements.reportingWatchdog) return;
+
+    const watchdog = state.sensor.reportingWatchdog;
+    if (!watchdog || !watchdog.offAt) {
+        elements.reportingWatchdog.style.display = 'none';
+        return;
+    }
+
+    if (watchdog.switchingOff) {
+        elements.reportingCountdown.textContent = 'Turning position reporting off...';
+    } else {
+        const seconds = Math.max(0, Math.ceil((new Date(watchdog.offAt) - Date.now()) / 1000));
+        const mm = Math.floor(seconds / 60);
+        const ss = String(seconds % 60).padStart(2, '0');
+        elements.reportingCountdown.textContent = `Auto-off in ${mm}:${ss}`;
+    }
+    elements.reportingWatchdog.classList.toggle('expiring', !watchdog.switchingOff && new Date(watchdog.offAt) - Date.now() < 60000);
+    elements.reportingWatchdog.style.display = 'flex';
+}
+
+/**
+ * Restart the server's auto-off timeout
+ */
+function keepReportingOn() {
+    sendToBackend({ type: 'reporting_keep_on', topic: state.mqtt.baseTopic });
+}
+
+// ============================================================================
+// Occupancy Check (predicted vs reported)
+// ============================================================================
+
+// Zone flags and target positions arrive in separate reports, so a disagreement
+// has to last this long before it is flagged
+const OCCUPANCY_MISMATCH_HOLD_MS = 2000;
+const occupancyMismatchSince = [null, null, null, null, null];
+
+/**
+ * Compare the zone occupancy the sensor reports with the zones the displayed
+ * targets fall in, using the geometry as drawn
+ */
+function updateOccupancyCheck() {
+    if (!elements.occupancyCheck) return;
+
+    if (!state.sensor.positionReporting) {
+        resetOccupancyCheck();
+        return;
+    }
+
+    const drawn = zoneManager.evaluateTargets(state.sensor.targets, state.zones, { geometry: 'polygon' });
+    const device = zoneManager.evaluateTargets(state.sensor.targets, state.zones);
+    const now = Date.now();
+
+    const rows = state.zones.zones.map((zone, index) => {
+        const predicted = drawn.zoneOccupied[index];
+        const reported = state.sensor.zones[index].occupied;
+
+        if (predicted === reported) {
+            occupancyMismatchSince[index] = null;
+        } else if (occupancyMismatchSince[index] === null) {
+            occupancyMismatchSince[index] = now;
+        }
+        const mismatch = occupancyMismatchSince[index] !== null &&
+            now - occupancyMismatchSince[index] >= OCCUPANCY_MISMATCH_HOLD_MS;
+
+        return { index, zone, predicted, reported, mismatch, boundingBoxMatches: device.zoneOccupied[index] === reported };
+    });
+
+    state.sensor.mismatchedZones = rows.filter(row => row.mismatch).map(row => row.index);
+    radarCanvas.setMismatchedZones(state.sensor.mismatchedZones);
+    renderOccupancyCheck(drawn.targets, rows);
+}
+
+/**
+ * Render the occupancy check panel and flag mismatched zone cards
+ */
+function renderOccupancyCheck(targets, rows) {
+    elements.occupancyCheckTargets.textContent = targets.length === 0
+        ? 'No targets'
+        : targets.map((target, i) => {
+            const zones = target.zones.map(index => `Zone ${index + 1}`).join(', ');
+            return `Target ${i + 1}: ${zones || 'no zone'}`;
+        }).join(' • ');
+
+    const visibleRows = rows.filter(row => row.zone.enabled || row.reported);
+    elements.occupancyCheckRows.innerHTML = visibleRows.map(row => {
+        const deviceZone = state.sensor.deviceZones?.zones[row.index];
+        let hint = '';
+        if (row.mismatch) {
+            hint = !row.zone.enabled ? 'Zone is off here but still active on the sensor'
+                : row.boundingBoxMatches ? 'The sensor enforces the bounding rectangle'
+                : deviceZone && !zoneManager.deviceZoneMatches(row.zone, deviceZone)
+                    ? 'The sensor holds different zone settings'
+                    : 'Check the zone outline';
+        }
+        return `
+            <div class="occupancy-check-row${row.mismatch ? ' mismatch' : ''}">
+                <span class="occupancy-check-zone">Zone ${row.index + 1}</span>
+                <span>Expected ${row.predicted ? 'Occupied' : 'Clear'}</span>
+                <span>Sensor ${row.reported ? 'Occupied' : 'Clear'}</span>
+                ${hint ? `<span class="occupancy-check-hint">${hint}</span>` : ''}
+            </div>
+        `;
+    }).join('');
+
+    const mismatches = rows.filter(row => row.mismatch).length;
+    elements.occupancyCheckSummary.textContent = mismatches === 0
+        ? 'Sensor agrees'
+        : `${mismatches} zone${mismatches === 1 ? '' : 's'} disagree`;
+    elements.occupancyCheck.classList.toggle('mismatch', mismatches > 0);
+    elements.occupancyCheck.style.display = 'block';
+
+    rows.forEach(row => {
+        elements[`zone${row.index + 1}Card`]?.classList.toggle('mismatch', row.mismatch);
+    });
+}
+
+/**
+ * Hide the occupancy check and clear all mismatch flags
+ */
+function resetOccupancyCheck() {
+    occupancyMismatchSince.fill(null);
+    state.sensor.mismatchedZones = [];
+    radarCanvas.setMismatchedZones([]);
+
+    if (elements.occupancyCheck) {
+        elements.occupancyCheck.style.display = 'none';
+    }
+    for (let i = 1; i <= 5; i++) {
+        elements[`zone${i}Card`]?.classList.remove('mismatch');
+    }
+}
+
+// ============================================================================
+// Zone Profiles
+// ============================================================================
+
+const PROFILE_SOURCE_LABELS = {
+    schedule: 'by schedule',
+    trigger: 'by trigger',
+    manual: 'manually'
+};
+
+// Refreshes the status line once the next scheduled switch has happened
+let profileStatusTimer = null;
+
+/**
+ * Take the profiles and schedule of a room config (null for none)
+ */
+function loadProfileState(config) {
+    state.profiles.list = JSON.parse(JSON.stringify(config?.profiles || []));
+    state.profiles.schedule = JSON.parse(JSON.stringify(config?.schedule || []));
+    state.profiles.active = config?.activeProfile || null;
+    state.profiles.nextSwitch = null;
+
+    renderZoneProfiles();
+    refreshProfileStatus();
+}
+
+/**
+ * Fill the profile selector and the schedule editor
+ */
+function renderZoneProfiles() {
+    const select = elements.zoneProfileSelect;
+    if (!select) return;
+
+    const selected = select.value || state.profiles.active?.name || '';
+    const activeName = state.profiles.active?.name;
+
+    select.innerHTML = '';
+    if (state.profiles.list.length === 0) {
+        select.appendChild(new Option('No profiles saved', ''));
+    }
+    state.profiles.list.forEach(profile => {
+        const label = profile.name === activeName ? `${profile.name} (active)` : profile.name;
+        select.appendChild(new Option(label, profile.name));
+    });
+    if (state.profiles.list.some(profile => profile.name === selected)) {
+        select.value = selected;
+    }
+
+    const hasProfile = state.profiles.list.length > 0;
+    elements.loadProfileBtn.disabled = !hasProfile;
+    elements.activateProfileBtn.disabled = !hasProfile || !canWrite() || !storageManager.useServerStorage;
+    elements.deleteProfileBtn.disabled = !hasProfile || !canWrite();
+
+    renderScheduleRules();
+    renderProfileStatus();
+}
+
+/**
+ * Show the active profile and when the schedule switches next
+ */
+function renderProfileStatus() {
+    if (!elements.profileStatus) return;
+
+    const { active, nextSwitch } = state.profiles;
+    const parts = [];
+
+    if (active) {
+        const since = new Date(active.since).toLocaleString([], { weekday: 'short', hour: '2-digit', minute: '2-digit' });
+        parts.push(`Active: ${active.name} (since ${since}, ${PROFILE_SOURCE_LABELS[active.source] || active.source})`);
+    }
+    if (nextSwitch) {
+        const at = new Date(nextSwitch.at).toLocaleString([], { weekday: 'short', hour: '2-digit', minute: '2-digit' });
+        parts.push(`Next: ${nextSwitch.profile} at ${at}`);
+    }
+    if (state.profiles.schedule.length > 0 && !storageManager.useServerStorage) {
+        parts.push('Schedules need the add-on server');
+    }
+
+    elements.profileStatus.textContent = parts.join(' • ');
+}
+
+/**
+ * Ask the server for the active profile and the next scheduled switch
+ */
+async function refreshProfileStatus() {
+    clearTimeout(profileStatusTimer);
+
+    const roomName = elements.roomName.value.trim();
+    if (!roomName || !storageManager.hasSensorConfig(roomName)) return;
+
+    const status = await storageManager.getProfileStatus(roomName);
+    if (!status || roomName !== elements.roomName.value.trim()) return;
+
+    state.profiles.active = status.activeProfile;
+    state.profiles.nextSwitch = status.nextSwitch;
+    renderZoneProfiles();
+
+    // Look again just after the switch is due
+    if (status.nextSwitch) {
+        const delay = Date.parse(status.nextSwitch.at) - Date.now() + 5000;
+        profileStatusTimer = setTimeout(refreshProfileStatus, Math.max(delay, 5000));
+    }
+}
+
+/**
+ * Save the current zones as a named profile (replacing one with the same name)
+ */
+function saveZoneProfile() {
+    const name = prompt('Profile name (e.g. Day, Night):', elements.zoneProfileSelect.value || '')?.trim();
+    if (!name) return;
+
+    saveZoneFormValues();
+    const zones = JSON.parse(JSON.stringify(state.zones));
+    const existing = state.profiles.list.find(profile => profile.name === name);
+
+    if (existing) {
+        if (!confirm(`Replace the zones of profile "${name}" with the current zones?`)) return;
+        existing.zones = zones;
+    } else {
+        state.profiles.list.push({ name, zones });
+    }
+
+    renderZoneProfiles();
+    elements.zoneProfileSelect.value = name;
+    triggerAutoSave();
+}
+
+/**
+ * Load the selected profile's zones into the editor (the sensor is not changed)
+ */
+function loadZoneProfile() {
+    const profile = state.profiles.list.find(p => p.name === elements.zoneProfileSelect.value);
+    if (!profile) return;
+
+    state.zones = storageManager.migrateZoneConfig(JSON.parse(JSON.stringify(profile.zones)));
+    loadZoneFormValues();
+    radarCanvas.drawFrame(state.sensor.targets, state.zones.zones, state.annotations);
+    triggerAutoSave();
+}
+
+/**
+ * Switch the room to the selected profile now; the server sends it to the sensor
+ */
+async function activateZoneProfile() {
+    const roomName = elements.roomName.value.trim();
+    const profileName = elements.zoneProfileSelect.value;
+    if (!roomName || !profileName) return;
+
+    // The server activates its copy, so unsaved profile edits go first
+    if (!await saveCurrentSensorConfig()) {
+        alert('Save the room before activating a profile');
+        return;
+    }
+
+    const config = await storageManager.activateProfile(roomName, profileName);
+    if (!config) {
+        alert(`Failed to activate profile "${profileName}"`);
+        return;
+    }
+    loadSensorConfig(roomName);
+}
+
+/**
+ * Delete the selected profile and the schedule rules that use it
+ */
+function deleteZoneProfile() {
+    const name = elements.zoneProfileSelect.value;
+    if (!name) return;
+
+    const rules = state.profiles.schedule.filter(rule => rule.profile === name).length;
+    const extra = rules > 0 ? `\n\n${rules} schedule rule${rules === 1 ? '' : 's'} using it will be removed too.` : '';
+    if (!confirm(`Delete profile "${name}"?${extra}`)) return;
+
+    state.profiles.list = state.profiles.list.filter(profile => profile.name !== name);
+    state.profiles.schedule = state.profiles.schedule.filter(rule => rule.profile !== name);
+    if (state.profiles.active?.name === name) {
+        state.profiles.active = null;
+    }
+
+    renderZoneProfiles();
+    triggerAutoSave();
+}
+
+/**
+ * Show or hide the schedule editor
+ */
+function toggleProfileSchedule() {
+    const panel = elements.profileSchedule;
+    if (!panel) return;
+
+    panel.style.display = panel.style.display === 'none' ? 'block' : 'none';
+}
+
+/**
+ * Render one editable row per schedule rule
+ */
+function renderScheduleRules() {
+    const list = elements.scheduleRules;
+    if (!list) return;
+
+    const readOnly = !canWrite();
+    list.innerHTML = '';
+
+    if (state.profiles.schedule.length === 0) {
+        list.innerHTML = '<p class="text-muted">No rules - profiles only change when activated.</p>';
+    }
+
+    state.profiles.schedule.forEach((rule, index) => {
+        const row = document.createElement('div');
+        row.className = 'schedule-rule';
+
+        const profileSelect = document.createElement('select');
+        state.profiles.list.forEach(profile => profileSelect.appendChild(new Option(profile.name, profile.name)));
+        profileSelect.value = rule.profile;
+
+        const kindSelect = document.createElement('select');
+        kindSelect.appendChild(new Option('At time', 'time'));
+        kindSelect.appendChild(new Option('On MQTT message', 'trigger'));
+        kindSelect.value = rule.at !== undefined ? 'time' : 'trigger';
+
+        const valueInput = document.createElement('input');
+        const payloadInput = document.createElement('input');
+        if (kindSelect.value === 'time') {
+            valueInput.type = 'time';
+            valueInput.value = rule.at;
+        } else {
+            valueInput.type = 'text';
+            valueInput.placeholder = 'Trigger topic';
+            valueInput.value = rule.trigger || '';
+            payloadInput.type = 'text';
+            payloadInput.placeholder = 'Payload (optional)';
+            payloadInput.value = rule.payload || '';
+        }
+
+        const removeBtn = document.createElement('button');
+        removeBtn.className = 'btn btn-small btn-secondary';
+        removeBtn.textContent = 'Remove';
+
+        [profileSelect, kindSelect, valueInput, payloadInput, removeBtn].forEach(el => { el.disabled = readOnly; });
+
+        profileSelect.addEventListener('change', () => updateScheduleRule(index, { ...rule, profile: profileSelect.value }));
+        kindSelect.addEventListener('change', () => updateScheduleRule(index, kindSelect.value === 'time'
+            ? { profile: rule.profile, at: '07:00' }
+            : { profile: rule.profile, trigger: '' }));
+        valueInput.addEventListener('change', () => updateScheduleRule(index, kindSelect.value === 'time'
+            ? { ...rule, at: valueInput.value }
+            : { ...rule, trigger: valueInput.value.trim() }));
+        payloadInput.addEventListener('change', () => {
+            const updated = { ...rule, payload: payloadInput.value.trim() };
+            if (!updated.payload) delete updated.payload;
+            updateScheduleRule(index, updated);
+        });
+        removeBtn.addEventListener('click', () => updateScheduleRule(index, null));
+
+        row.append(profileSelect, kindSelect, valueInput);
+        if (kindSelect.value === 'trigger') row.append(payloadInput);
+        row.append(removeBtn);
+        list.appendChild(row);
+    });
+}
+
+/**
+ * Replace (or remove, with null) a schedule rule and save
+ */
+function updateScheduleRule(index, rule) {
+    if (rule) {
+        state.profiles.schedule[index] = rule;
+    } else {
+        state.profiles.schedule.splice(index, 1);
+    }
+    if (!state.profiles.schedule.some(r => r.at !== undefined)) {
+        state.profiles.nextSwitch = null;
+        renderProfileStatus();
+    }
+
+    renderScheduleRules();
+    triggerAutoSave();
+}
+
+/**
+ * Add a time rule for the selected profile
+ */
+function addScheduleRule() {
+    const profile = elements.zoneProfileSelect.value || state.profiles.list[0]?.name;
+    if (!profile) {
+        alert('Save the current zones as a profile first');
+        return;
+    }
+
+    state.profiles.schedule.push({ profile, at: '07:00' });
+    renderScheduleRules();
+    triggerAutoSave();
+}
+
+// ============================================================================
+// LocalStorage Functions
+// ============================================================================
+
+function saveCredentials() {
+    // Only save room name and topic - broker settings come from addon config
+    const settings = {
+        baseTopic: elements.mqttTopic.value,
+        roomName: elements.roomName.value
+    };
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(settings));
+}
+
+function loadCredentials() {
+    try {
+        const saved = localStorage.getItem(STORAGE_KEY);
+        if (saved) {
+            const settings = JSON.parse(saved);
+            if (settings.baseTopic) {
+                elements.mqttTopic.value = settings.baseTopic;
+                state.mqtt.baseTopic = settings.baseTopic; // Also update state!
+            }
+            if (settings.roomName) elements.roomName.value = settings.roomName;
+        }
+    } catch (error) {
+        console.error('Error loading credentials:', error);
+    }
+}
+
+// ============================================================================
+// Sensor Configuration Functions
+// ============================================================================
+
+/**
+ * Populate the sensor selector dropdown with saved rooms
+ */
+function populateSensorSelector() {
+    const savedRooms = storageManager.getSavedSensors();
+
+    // Clear existing options except the placeholder
+    elements.sensorSelector.innerHTML = '<option value="">-- Select a saved room --</option>';
+
+    // Add "Create new room" option
+    const createOption = document.createElement('option');
+    createOption.value = '__create_new__';
+    createOption.textContent = '+ Create new room';
+    elements.sensorSelector.appendChild(createOption);
+
+    // Add separator if there are saved rooms
+    if (savedRooms.length > 0) {
+        const separator = document.createElement('option');
+        separator.disabled = true;
+        separator.textContent = '— Saved Rooms —';
+        elements.sensorSelector.appendChild(separator);
+    }
+
+    // Add saved rooms
+    savedRooms.forEach(roomName => {
+        const option = document.createElement('option');
+        option.value = roomName;
+        option.textContent = roomName;
+        elements.sensorSelector.appendChild(option);
+    });
+
+    // Select current room if it exists in saved rooms
+    const currentRoom = elements.roomName.value;
+    if (currentRoom && savedRooms.includes(currentRoom)) {
+        elements.sensorSelector.value = currentRoom;
+    }
+}
+
+/**
+ * Load configuration for a specific room
+ */
+function loadSensorConfig(roomName) {
+    const config = storageManager.getSensorConfig(roomName);
+
+    if (config) {
+        // Load zones with migration for old format
+        state.zones = storageManager.migrateZoneConfig(config.zones);
 
         // Load annotations (with edges support)
         const annotations = config.annotations || storageManager.getDefaultAnnotations();
@@ -1254,153 +3197,930 @@ function loadSensorConfig(roomName) {
             elements.mqttTopic.value = config.mqttTopic;
             handleTopicChange(config.mqttTopic);
         }
+        if (config.deviceIeee) {
+            state.mqtt.deviceIeee = config.deviceIeee;
+        }
+
+        // Load map rotation
+        if (config.mapRotation !== undefined) {
+            state.ui.mapRotation = config.mapRotation;
+            radarCanvas.setMapRotation(config.mapRotation);
+        }
+    } else {
+        // Reset to defaults
+        state.zones = storageManager.getDefaultZoneConfig();
+        state.annotations = storageManager.getDefaultAnnotations();
+        state.ui.mapRotation = 0;
+        radarCanvas.setMapRotation(0);
+    }
+    loadProfileState(config);
+    loadSensorSettingsState(config);
+    renderRecordings();
+
+    // Update UI
+    loadZoneFormValues();
+    radarCanvas.drawFrame(state.sensor.targets, state.zones.zones, state.annotations);
+
+    // A preview and save errors belong to the room they were shown for
+    closeRevisionPreview();
+    showValidationErrors(elements.roomName.value.trim(), []);
+    updateZoneDriftBanner();
+    if (elements.roomHistoryPanel?.style.display !== 'none') {
+        renderRoomHistory();
+    }
+}
+
+/**
+ * Save current configuration for the current room
+ */
+async function saveCurrentSensorConfig() {
+    const roomName = elements.roomName.value;
+    if (!roomName || !canWrite()) {
+        return false;
+    }
+
+    const saved = await storageManager.saveSensorConfig(roomName, {
+        zones: state.zones,
+        annotations: state.annotations,
+        mqttTopic: elements.mqttTopic.value,
+        deviceIeee: state.mqtt.deviceIeee,
+        mapRotation: state.ui.mapRotation,
+        profiles: state.profiles.list,
+        schedule: state.profiles.schedule,
+        settings: state.sensorSettings,
+        activeProfile: state.profiles.active
+    });
+
+    // Refresh sensor selector
+    populateSensorSelector();
+    updateZoneDriftBanner();
+    renderRecordings();
+
+    // A schedule edit moves the next switch
+    if (saved && state.profiles.schedule.length > 0) {
+        refreshProfileStatus();
+    }
+    return saved;
+}
+
+/**
+ * Show the server's field-level validation errors next to the zone cards
+ * @param {string} roomName - Room the errors belong to
+ * @param {Array<{field: string, message: string}>} errors - Empty to clear
+ */
+function showValidationErrors(roomName, errors) {
+    if (roomName !== elements.roomName.value.trim()) return;
+
+    const zoneErrors = [[], [], [], [], []];
+    const otherErrors = [];
+
+    errors.forEach(error => {
+        const match = error.field.match(/^zones\.zones\[(\d+)\]/);
+        if (match && zoneErrors[match[1]]) {
+            zoneErrors[match[1]].push(error.message);
+        } else {
+            otherErrors.push(`${error.field}: ${error.message}`);
+        }
+    });
+
+    zoneErrors.forEach((messages, index) => {
+        const card = elements[`zone${index + 1}Card`];
+        const errorEl = elements[`zone${index + 1}Error`];
+        if (card) card.classList.toggle('invalid', messages.length > 0);
+        if (errorEl) errorEl.textContent = messages.join(' • ');
+    });
+
+    if (elements.roomValidationErrors) {
+        elements.roomValidationErrors.textContent = otherErrors.length > 0
+            ? `Not saved: ${otherErrors.join(' • ')}`
+            : '';
+    }
+}
+
+/**
+ * Ask the user which of their changes to keep when a save conflicts with another device
+ * @param {string} roomName - Room name
+ * @param {object} mine - Config this tab tried to save
+ * @param {object} theirs - Current server copy
+ * @param {object[]} differences - Items both copies changed (see StorageManager.diffConfigs)
+ * @returns {Promise<Set<string>|null>} - Keys to keep from this tab's copy, or null to use the saved copy
+ */
+function showMergeDialog(roomName, mine, theirs, differences) {
+    return new Promise(resolve => {
+        const backdrop = document.createElement('div');
+        backdrop.className = 'dialog-backdrop';
+        const dialog = document.createElement('div');
+        dialog.className = 'dialog';
+        dialog.setAttribute('role', 'dialog');
+        dialog.setAttribute('aria-modal', 'true');
+
+        const title = document.createElement('h3');
+        title.textContent = `"${roomName}" was changed on another device`;
+        const hint = document.createElement('p');
+        hint.className = 'text-muted';
+        hint.textContent = 'Both copies changed these. Choose which version to keep for each one; your other changes are kept.';
+
+        const list = document.createElement('div');
+        list.className = 'dialog-list';
+        differences.forEach(difference => {
+            const row = document.createElement('label');
+            row.className = 'dialog-item';
+            const name = document.createElement('span');
+            const label = document.createElement('strong');
+            label.textContent = difference.label;
+            const change = document.createElement('small');
+            change.textContent = difference.change;
+            name.append(label, ' ', change);
+
+            // Additions made elsewhere are kept unless the user says otherwise
+            const select = document.createElement('select');
+            select.dataset.key = difference.key;
+            select.append(new Option('Keep mine', 'mine'), new Option('Keep saved', 'theirs'));
+            select.value = difference.change === 'only in the saved copy' ? 'theirs' : 'mine';
+
+            row.append(name, select);
+            list.appendChild(row);
+        });
+
+        const close = (result) => {
+            backdrop.remove();
+            resolve(result);
+        };
+
+        const actions = document.createElement('div');
+        actions.className = 'dialog-actions';
+        const discardBtn = document.createElement('button');
+        discardBtn.className = 'btn btn-secondary';
+        discardBtn.textContent = 'Discard my changes';
+        discardBtn.addEventListener('click', () => close(null));
+        const mergeBtn = document.createElement('button');
+        mergeBtn.className = 'btn btn-primary';
+        mergeBtn.textContent = 'Save merged';
+        mergeBtn.addEventListener('click', () => {
+            const keep = new Set();
+            list.querySelectorAll('select').forEach(select => {
+                if (select.value === 'mine') keep.add(select.dataset.key);
+            });
+            close(keep);
+        });
+        actions.append(discardBtn, mergeBtn);
+
+        dialog.append(title, hint, list, actions);
+        backdrop.appendChild(dialog);
+        document.body.appendChild(backdrop);
+    });
+}
+
+/**
+ * Manually save room configuration with visual feedback
+ */
+async function saveRoomManually() {
+    const roomName = elements.roomName.value.trim();
+
+    if (!roomName) {
+        alert('Please enter a room name before saving.');
+        elements.roomName.focus();
+        return;
+    }
+
+    // Update the room name in the input (in case it was trimmed)
+    elements.roomName.value = roomName;
+
+    // Save the configuration
+    const saved = await saveCurrentSensorConfig();
+
+    if (saved) {
+        // Visual feedback on the save button
+        const btn = elements.saveRoomBtn;
+        const originalHTML = btn.innerHTML;
+        btn.innerHTML = `
+            <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="3">
+                <path d="M20 6L9 17l-5-5"/>
+            </svg>
+            Saved!
+        `;
+        btn.disabled = true;
+
+        setTimeout(() => {
+            btn.innerHTML = originalHTML;
+            btn.disabled = false;
+        }, 1500);
+    }
+}
+
+/**
+ * Delete room configuration
+ */
+async function deleteRoom() {
+    const roomName = elements.roomName.value.trim();
+
+    if (!roomName) {
+        alert('Please enter or select a room name to delete.');
+        return;
+    }
+
+    // Check if room exists
+    if (!storageManager.hasSensorConfig(roomName)) {
+        alert(`No saved configuration found for "${roomName}".`);
+        return;
+    }
+
+    // Confirm deletion
+    if (!confirm(`Are you sure you want to delete the configuration for "${roomName}"?\n\nThis cannot be undone.`)) {
+        return;
+    }
+
+    // Delete the configuration
+    await storageManager.deleteSensorConfig(roomName);
+
+    clearCurrentRoom();
+    populateSensorSelector();
+}
+
+/**
+ * Rename the current room
+ */
+async function renameRoom() {
+    const roomName = elements.roomName.value.trim();
+
+    if (!roomName || !storageManager.hasSensorConfig(roomName)) {
+        alert('Select a saved room to rename.');
+        return;
+    }
+
+    const newName = prompt(`Rename "${roomName}" to:`, roomName)?.trim();
+    if (!newName || newName === roomName) return;
+
+    const result = await storageManager.renameRoom(roomName, newName);
+    if (!result.success) {
+        alert(`Could not rename room: ${result.error}`);
+        return;
+    }
+
+    elements.roomName.value = newName;
+    saveCredentials();
+    populateSensorSelector();
+}
+
+/**
+ * Copy the current room to a new room and open the copy
+ */
+async function duplicateRoom() {
+    const roomName = elements.roomName.value.trim();
+
+    if (!roomName || !storageManager.hasSensorConfig(roomName)) {
+        alert('Select a saved room to duplicate.');
+        return;
+    }
+
+    const newName = prompt(`Name for the copy of "${roomName}":`, storageManager.getCopyName(roomName))?.trim();
+    if (!newName) return;
+
+    const result = await storageManager.duplicateRoom(roomName, newName);
+    if (!result.success) {
+        alert(`Could not duplicate room: ${result.error}`);
+        return;
+    }
+
+    elements.roomName.value = newName;
+    saveCredentials();
+    populateSensorSelector();
+    loadSensorConfig(newName);
+}
+
+/**
+ * Close the open room and reset the layout
+ */
+function clearCurrentRoom() {
+    elements.roomName.value = '';
+    state.zones = storageManager.getDefaultZoneConfig();
+    state.annotations = storageManager.getDefaultAnnotations();
+    loadProfileState(null);
+    loadSensorSettingsState(null);
+    renderRecordings();
+
+    closeRevisionPreview();
+    loadZoneFormValues();
+    radarCanvas.drawFrame(state.sensor.targets, state.zones.zones, state.annotations);
+}
+
+/**
+ * Handle room selector change
+ */
+function handleSensorSelection(event) {
+    const selectedRoom = event.target.value;
+
+    if (!selectedRoom) return;
+
+    // Handle "Create new room" option
+    if (selectedRoom === '__create_new__') {
+        // Clear the form for new room
+        elements.roomName.value = '';
+        elements.roomName.focus();
+
+        // Reset to default zone config
+        state.zones = storageManager.getDefaultZoneConfig();
+        state.annotations = storageManager.getDefaultAnnotations();
+        state.ui.mapRotation = 0;
+        radarCanvas.setMapRotation(0);
+        loadProfileState(null);
+        loadSensorSettingsState(null);
+        renderRecordings();
+
+        // Update UI
+        loadZoneFormValues();
+        radarCanvas.drawFrame(state.sensor.targets, state.zones.zones, state.annotations);
+
+        // Reset selector to placeholder
+        elements.sensorSelector.value = '';
+        return;
+    }
+
+    // Update the room name input
+    elements.roomName.value = selectedRoom;
+
+    // Load the configuration for this room
+    loadSensorConfig(selectedRoom);
+}
+
+// ============================================================================
+// Revision History
+// ============================================================================
+
+/**
+ * Show or hide the History panel for the current room
+ */
+function toggleHistoryPanel() {
+    if (!elements.roomHistoryPanel) return;
+
+    const open = elements.roomHistoryPanel.style.display === 'none';
+    elements.roomHistoryPanel.style.display = open ? 'block' : 'none';
+
+    if (open) {
+        renderRoomHistory();
+    } else {
+        closeRevisionPreview();
+    }
+}
+
+/**
+ * Load and render the saved revisions of the current room
+ */
+async function renderRoomHistory() {
+    const roomName = elements.roomName.value.trim();
+    const list = elements.roomHistoryList;
+    if (!list) return;
+
+    if (!roomName || !storageManager.hasSensorConfig(roomName)) {
+        list.innerHTML = '<p class="text-muted">Save the room to start its history.</p>';
+        return;
+    }
+
+    list.innerHTML = '<p class="text-muted">Loading...</p>';
+    const revisions = await storageManager.getRoomHistory(roomName);
+    const current = storageManager.getSensorConfig(roomName)?.revision;
+
+    if (revisions.length === 0) {
+        list.innerHTML = '<p class="text-muted">No revisions saved yet.</p>';
+        return;
+    }
+
+    list.innerHTML = '';
+    revisions.forEach(entry => {
+        const zones = (entry.config.zones?.zones || []).filter(z => z.enabled).length;
+        const annotations = entry.config.annotations || {};
+        const objects = (annotations.furniture?.length || 0) + (annotations.entrances?.length || 0);
+        const savedAt = new Date(entry.savedAt).toLocaleString();
+        const restored = entry.restoredFrom ? ` · restored from rev ${entry.restoredFrom}` : '';
+
+        const item = document.createElement('div');
+        item.className = 'history-item';
+        item.classList.toggle('current', entry.revision === current);
+        item.classList.toggle('previewing', entry.revision === historyPreview?.revision);
+        item.innerHTML = `
+            <div class="history-item-info">
+                <strong>Rev ${entry.revision}${entry.revision === current ? ' (current)' : ''}</strong>
+                <small>${savedAt}${restored}</small>
+                <small>${zones} zone${zones === 1 ? '' : 's'} · ${objects} object${objects === 1 ? '' : 's'}</small>
+            </div>
+            <div class="history-item-actions">
+                <button class="btn btn-small btn-secondary" data-action="preview">Preview</button>
+                <button class="btn btn-small btn-primary" data-action="restore" ${canWrite() ? '' : 'disabled'}>Restore</button>
+            </div>
+        `;
+        item.querySelector('[data-action="preview"]').addEventListener('click', () => previewRevision(entry));
+        item.querySelector('[data-action="restore"]').addEventListener('click', () => restoreRevision(entry.revision));
+        list.appendChild(item);
+    });
+}
+
+/**
+ * Show a saved revision on the radar canvas without changing the room
+ */
+function previewRevision(entry) {
+    const annotations = entry.config.annotations || storageManager.getDefaultAnnotations();
+    historyPreview = {
+        revision: entry.revision,
+        zones: storageManager.migrateZoneConfig(entry.config.zones),
+        annotations: {
+            furniture: annotations.furniture || [],
+            entrances: annotations.entrances || [],
+            edges: annotations.edges || []
+        }
+    };
+
+    if (elements.historyPreviewBanner) {
+        elements.historyPreviewText.textContent = `Previewing revision ${entry.revision}`;
+        elements.historyPreviewRestoreBtn.disabled = !canWrite();
+        elements.historyPreviewBanner.style.display = 'flex';
+    }
+
+    renderRoomHistory();
+}
+
+/**
+ * Return the canvas to the live layout
+ */
+function closeRevisionPreview() {
+    historyPreview = null;
+    if (elements.historyPreviewBanner) {
+        elements.historyPreviewBanner.style.display = 'none';
+    }
+    document.querySelectorAll('.history-item.previewing').forEach(item => item.classList.remove('previewing'));
+}
+
+/**
+ * Restore a saved revision of the current room
+ */
+async function restoreRevision(revision) {
+    const roomName = elements.roomName.value.trim();
+    if (!roomName) return;
 
-        // Load map rotation
-        if (config.mapRotation !== undefined) {
-            state.ui.mapRotation = config.mapRotation;
-            radarCanvas.setMapRotation(config.mapRotation);
-        }
-    } else {
-        // Reset to defaults
-        state.zones = storageManager.getDefaultZoneConfig();
-        state.annotations = storageManager.getDefaultAnnotations();
-        state.ui.mapRotation = 0;
-        radarCanvas.setMapRotation(0);
+    if (!confirm(`Restore "${roomName}" to revision ${revision}?\n\nThe current layout stays in the history and can be restored later.`)) {
+        return;
     }
 
-    // Update UI
-    loadZoneFormValues();
-    radarCanvas.drawFrame(state.sensor.targets, state.zones.zones, state.annotations);
+    const restored = await storageManager.restoreRoomRevision(roomName, revision);
+    if (!restored) {
+        alert('Failed to restore revision');
+        return;
+    }
+
+    closeRevisionPreview();
+    loadSensorConfig(roomName);
+    renderRoomHistory();
 }
 
+// ============================================================================
+// Backup Export / Import
+// ============================================================================
+
+// Archive entries waiting for confirmation in the import dialog
+let pendingImport = null;
+
+const IMPORT_STATUS_LABELS = {
+    new: 'new room',
+    overwrite: 'differs from saved room',
+    unchanged: 'same as saved room'
+};
+
 /**
- * Save current configuration for the current room
+ * Download a backup of every saved room
  */
-async function saveCurrentSensorConfig() {
-    const roomName = elements.roomName.value;
-    if (!roomName) {
-        return false;
+function exportRooms() {
+    const rooms = storageManager.getSavedSensors();
+    if (rooms.length === 0) {
+        alert('There are no saved rooms to export.');
+        return;
     }
 
-    await storageManager.saveSensorConfig(roomName, {
-        zones: state.zones,
-        annotations: state.annotations,
-        mqttTopic: elements.mqttTopic.value,
-        mapRotation: state.ui.mapRotation
-    });
+    const blob = new Blob([storageManager.exportConfigs()], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `shs-rooms-${new Date().toISOString().slice(0, 10)}.json`;
+    link.click();
+    URL.revokeObjectURL(url);
 
-    // Refresh sensor selector
-    populateSensorSelector();
-    return true;
+    console.log(`[BACKUP] Exported ${rooms.length} rooms`);
 }
 
 /**
- * Manually save room configuration with visual feedback
+ * Read a backup file and show the import preview
  */
-async function saveRoomManually() {
-    const roomName = elements.roomName.value.trim();
+async function handleImportFile(event) {
+    const file = event.target.files[0];
+    event.target.value = ''; // Allow picking the same file again
+    if (!file) return;
 
-    if (!roomName) {
-        alert('Please enter a room name before saving.');
-        elements.roomName.focus();
+    let rooms;
+    try {
+        rooms = storageManager.parseArchive(await file.text());
+    } catch (error) {
+        alert(`Cannot import "${file.name}": ${error.message}`);
         return;
     }
 
-    // Update the room name in the input (in case it was trimmed)
-    elements.roomName.value = roomName;
+    pendingImport = storageManager.planImport(rooms);
+    if (pendingImport.length === 0) {
+        pendingImport = null;
+        alert(`"${file.name}" does not contain any rooms.`);
+        return;
+    }
 
-    // Save the configuration
-    const saved = await saveCurrentSensorConfig();
+    renderImportPreview(file.name);
+    elements.importDialog.style.display = 'flex';
+}
 
-    if (saved) {
-        // Visual feedback on the save button
-        const btn = elements.saveRoomBtn;
-        const originalHTML = btn.innerHTML;
-        btn.innerHTML = `
-            <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="3">
-                <path d="M20 6L9 17l-5-5"/>
-            </svg>
-            Saved!
+/**
+ * List the archived rooms with a skip / overwrite / copy choice each
+ */
+function renderImportPreview(fileName) {
+    const counts = { new: 0, overwrite: 0, unchanged: 0 };
+    pendingImport.forEach(entry => counts[entry.status]++);
+
+    elements.importSummary.textContent =
+        `${fileName}: ${counts.new} new, ${counts.overwrite} would be overwritten, ${counts.unchanged} unchanged.`;
+
+    elements.importList.innerHTML = '';
+    pendingImport.forEach(entry => {
+        // New rooms are imported by default; existing rooms are only touched when chosen
+        entry.action = entry.status === 'new' ? 'overwrite' : 'skip';
+
+        const row = document.createElement('label');
+        row.className = `dialog-item import-${entry.status}`;
+        row.innerHTML = `
+            <span><strong></strong> <small>${IMPORT_STATUS_LABELS[entry.status]}</small></span>
+            <select>
+                <option value="skip">Skip</option>
+                <option value="overwrite">${entry.status === 'new' ? 'Import' : 'Overwrite'}</option>
+                <option value="copy">Import as copy</option>
+            </select>
         `;
-        btn.disabled = true;
+        row.querySelector('strong').textContent = entry.name;
 
-        setTimeout(() => {
-            btn.innerHTML = originalHTML;
-            btn.disabled = false;
-        }, 1500);
-    }
+        const select = row.querySelector('select');
+        select.value = entry.action;
+        select.addEventListener('change', () => {
+            entry.action = select.value;
+        });
+
+        elements.importList.appendChild(row);
+    });
 }
 
 /**
- * Delete room configuration
+ * Close the import preview without saving anything
  */
-async function deleteRoom() {
-    const roomName = elements.roomName.value.trim();
+function closeImportDialog() {
+    pendingImport = null;
+    elements.importDialog.style.display = 'none';
+}
 
-    if (!roomName) {
-        alert('Please enter or select a room name to delete.');
-        return;
+/**
+ * Save the rooms chosen in the import preview
+ */
+async function confirmImport() {
+    if (!pendingImport) return;
+
+    const entries = pendingImport;
+    closeImportDialog();
+
+    const results = await storageManager.importConfigs(entries);
+    populateSensorSelector();
+
+    // Reload the open room if the import replaced it
+    const openRoom = elements.roomName.value.trim();
+    if (results.some(r => r.success && r.savedAs === openRoom)) {
+        loadSensorConfig(openRoom);
     }
 
-    // Check if room exists
-    if (!storageManager.hasSensorConfig(roomName)) {
-        alert(`No saved configuration found for "${roomName}".`);
+    const imported = results.filter(r => r.success);
+    const failed = results.filter(r => !r.success);
+    console.log(`[BACKUP] Imported ${imported.length} rooms, ${failed.length} failed`);
+
+    if (failed.length > 0) {
+        alert(`Imported ${imported.length} room(s).\n\nFailed: ${failed.map(r => r.savedAs).join(', ')}`);
+    } else if (imported.length > 0) {
+        alert(`Imported ${imported.length} room(s): ${imported.map(r => r.savedAs).join(', ')}`);
+    }
+}
+
+// ============================================================================
+// Bulk Apply
+// ============================================================================
+
+// Sensors applied at the same time; the other rooms wait their turn
+const BULK_APPLY_CONCURRENCY = 2;
+
+const BULK_STATUS_TEXT = {
+    queued: 'Waiting',
+    saving: 'Saving room...',
+    applying: 'Sending to sensor...',
+    success: 'Confirmed',
+    failed: 'Failed'
+};
+
+// Open dialog: { running, zones, saveRooms, targets: [{ room, topic, selected, status, requestId, error }] }
+let bulkApply = null;
+
+/**
+ * Open the bulk apply dialog with the open room as the source
+ */
+function openBulkApplyDialog() {
+    const rooms = storageManager.getSavedSensors();
+    if (rooms.length < 2) {
+        alert('Save at least two rooms to apply the zones of one room to others.');
         return;
     }
 
-    // Confirm deletion
-    if (!confirm(`Are you sure you want to delete the configuration for "${roomName}"?\n\nThis cannot be undone.`)) {
+    bulkApply = { running: false, zones: null, saveRooms: true, targets: [] };
+
+    elements.bulkSourceRoom.innerHTML = '';
+    rooms.forEach(room => elements.bulkSourceRoom.appendChild(new Option(room, room)));
+    const openRoom = elements.roomName.value.trim();
+    elements.bulkSourceRoom.value = rooms.includes(openRoom) ? openRoom : rooms[0];
+
+    selectBulkSourceRoom();
+    elements.bulkApplyDialog.style.display = 'flex';
+}
+
+/**
+ * List the source room's zone sets and every other room as a target
+ */
+function selectBulkSourceRoom() {
+    const sourceName = elements.bulkSourceRoom.value;
+    const source = storageManager.getSensorConfig(sourceName);
+
+    elements.bulkSourceSet.innerHTML = '';
+    elements.bulkSourceSet.appendChild(new Option('Current zones', ''));
+    (source?.profiles || []).forEach(profile => {
+        elements.bulkSourceSet.appendChild(new Option(`Profile: ${profile.name}`, profile.name));
+    });
+
+    bulkApply.targets = storageManager.getSavedSensors()
+        .filter(room => room !== sourceName)
+        .map(room => ({
+            room,
+            topic: storageManager.getSensorConfig(room)?.mqttTopic || '',
+            selected: false,
+            status: null,
+            requestId: null,
+            error: null
+        }));
+
+    renderBulkApply();
+}
+
+/**
+ * The zone set picked in the dialog
+ */
+function getBulkSourceZones() {
+    const source = storageManager.getSensorConfig(elements.bulkSourceRoom.value);
+    const profile = (source?.profiles || []).find(p => p.name === elements.bulkSourceSet.value);
+    return storageManager.migrateZoneConfig((profile || source)?.zones);
+}
+
+/**
+ * Describe what applying the zones would change in a room
+ */
+function describeBulkChanges(zones, roomName) {
+    const current = storageManager.getSensorConfig(roomName);
+    const changes = storageManager.diffConfigs({ zones }, { zones: current?.zones })
+        .filter(difference => difference.key === 'zoneMode' || difference.key.startsWith('zone:'));
+
+    if (changes.length === 0) return 'zones already match';
+    return changes.map(difference => {
+        if (difference.key === 'zoneMode') return 'mode changes';
+        if (difference.mine.enabled && !difference.theirs?.enabled) return `${difference.label} added`;
+        if (!difference.mine.enabled) return `${difference.label} removed`;
+        return `${difference.label} changes`;
+    }).join(', ');
+}
+
+/**
+ * Render the target rooms with their preview or result
+ */
+function renderBulkApply() {
+    if (!bulkApply) return;
+
+    const zones = bulkApply.zones || getBulkSourceZones();
+    const list = elements.bulkTargetList;
+    list.innerHTML = '';
+
+    if (bulkApply.targets.length === 0) {
+        list.innerHTML = '<p class="text-muted">No other rooms saved.</p>';
+    }
+
+    bulkApply.targets.forEach(target => {
+        const row = document.createElement('label');
+        row.className = 'dialog-item bulk-target';
+
+        const checkbox = document.createElement('input');
+        checkbox.type = 'checkbox';
+        checkbox.checked = target.selected;
+        checkbox.disabled = !target.topic || bulkApply.running;
+        checkbox.addEventListener('change', () => {
+            target.selected = checkbox.checked;
+            renderBulkApply();
+        });
+
+        const info = document.createElement('span');
+        info.className = 'bulk-target-info';
+        info.innerHTML = '<strong></strong><small></small>';
+        info.querySelector('strong').textContent = target.room;
+        info.querySelector('small').textContent = target.topic
+            ? `${target.topic} · ${describeBulkChanges(zones, target.room)}`
+            : 'No MQTT topic saved for this room';
+
+        row.append(checkbox, info);
+
+        if (target.status) {
+            const status = document.createElement('small');
+            status.className = `bulk-target-status ${target.status}`;
+            status.textContent = BULK_STATUS_TEXT[target.status] + (target.error ? `: ${target.error}` : '');
+            row.appendChild(status);
+        }
+        if (target.status === 'failed' && !bulkApply.running) {
+            const retry = document.createElement('button');
+            retry.className = 'btn btn-small btn-secondary';
+            retry.textContent = 'Retry';
+            retry.addEventListener('click', (event) => {
+                event.preventDefault();
+                retryBulkTargets([target]);
+            });
+            row.appendChild(retry);
+        }
+
+        list.appendChild(row);
+    });
+
+    const selected = bulkApply.targets.filter(target => target.selected);
+    const succeeded = selected.filter(target => target.status === 'success').length;
+    const failed = selected.filter(target => target.status === 'failed');
+    const enabledZones = zones.zones.filter(zone => zone.enabled).length;
+    const mode = ['Off', 'Include', 'Exclude'][zones.type] || 'Off';
+
+    elements.bulkApplySummary.textContent = selected.some(target => target.status)
+        ? `${succeeded} of ${selected.length} room${selected.length === 1 ? '' : 's'} confirmed${failed.length ? `, ${failed.length} failed` : ''}${bulkApply.running ? '...' : '.'}`
+        : `${enabledZones} zone${enabledZones === 1 ? '' : 's'}, mode ${mode}. ${selected.length} room${selected.length === 1 ? '' : 's'} selected.`;
+
+    elements.bulkSourceRoom.disabled = bulkApply.running;
+    elements.bulkSourceSet.disabled = bulkApply.running;
+    elements.bulkSaveRooms.disabled = bulkApply.running;
+    elements.bulkConfirmBtn.disabled = bulkApply.running || selected.length === 0;
+    elements.bulkRetryBtn.style.display = !bulkApply.running && failed.length > 0 ? 'inline-flex' : 'none';
+}
+
+/**
+ * Start applying the zones to every selected room
+ */
+function confirmBulkApply() {
+    if (!bulkApply) return;
+    if (!state.mqtt.connected) {
+        alert('Not connected to MQTT broker');
         return;
     }
 
-    // Delete the configuration
-    await storageManager.deleteSensorConfig(roomName);
+    const targets = bulkApply.targets.filter(target => target.selected);
+    if (targets.length === 0) return;
 
-    // Clear current state
-    elements.roomName.value = '';
-    state.zones = storageManager.getDefaultZoneConfig();
-    state.annotations = storageManager.getDefaultAnnotations();
+    bulkApply.zones = getBulkSourceZones();
+    bulkApply.saveRooms = elements.bulkSaveRooms.checked;
+    console.log(`[BULK] Applying zones from "${elements.bulkSourceRoom.value}" to ${targets.length} rooms`);
+    retryBulkTargets(targets);
+}
 
-    // Update UI
-    populateSensorSelector();
-    loadZoneFormValues();
-    radarCanvas.drawFrame(state.sensor.targets, state.zones.zones, state.annotations);
+/**
+ * Queue rooms (again) and run the queue
+ */
+function retryBulkTargets(targets) {
+    targets.forEach(target => {
+        target.status = 'queued';
+        target.error = null;
+        target.requestId = null;
+    });
+    bulkApply.running = true;
+    runBulkApplyQueue();
 }
 
 /**
- * Handle room selector change
+ * Start queued rooms while fewer than BULK_APPLY_CONCURRENCY are in progress
+ * Rooms sharing a sensor topic go one after another, as a newer apply to a
+ * topic cancels the one in progress
  */
-function handleSensorSelection(event) {
-    const selectedRoom = event.target.value;
+function runBulkApplyQueue() {
+    const targets = bulkApply.targets;
+    const inProgress = () => targets.filter(target => target.status === 'saving' || target.status === 'applying');
+    const findNext = () => {
+        const busyTopics = new Set(inProgress().map(target => target.topic));
+        return targets.find(target => target.status === 'queued' && !busyTopics.has(target.topic));
+    };
 
-    if (!selectedRoom) return;
+    let next = findNext();
+    while (next && inProgress().length < BULK_APPLY_CONCURRENCY) {
+        applyBulkTarget(next);
+        next = findNext();
+    }
 
-    // Handle "Create new room" option
-    if (selectedRoom === '__create_new__') {
-        // Clear the form for new room
-        elements.roomName.value = '';
-        elements.roomName.focus();
+    if (inProgress().length === 0 && !next) {
+        bulkApply.running = false;
+        const failed = targets.filter(target => target.status === 'failed').length;
+        console.log(`[BULK] Finished - ${failed} failed`);
+    }
+    renderBulkApply();
+}
 
-        // Reset to default zone config
-        state.zones = storageManager.getDefaultZoneConfig();
-        state.annotations = storageManager.getDefaultAnnotations();
-        state.ui.mapRotation = 0;
-        radarCanvas.setMapRotation(0);
+/**
+ * Save the zones into one room (if chosen) and send them to its sensor
+ */
+async function applyBulkTarget(target) {
+    const operation = bulkApply;
+    const zones = JSON.parse(JSON.stringify(operation.zones));
+
+    if (operation.saveRooms) {
+        target.status = 'saving';
+        const config = storageManager.getSensorConfig(target.room);
+        const saved = await storageManager.saveSensorConfig(target.room, { ...config, zones });
+        if (bulkApply !== operation) return;
+
+        if (!saved) {
+            finishBulkTarget(target, 'failed', 'The room could not be saved');
+            return;
+        }
+        if (target.room === elements.roomName.value.trim()) {
+            loadSensorConfig(target.room);
+        }
+    }
 
-        // Update UI
-        loadZoneFormValues();
-        radarCanvas.drawFrame(state.sensor.targets, state.zones.zones, state.annotations);
+    target.requestId = `bulk_${Date.now()}_${Math.random().toString(36).slice(2, 8)}`;
+    target.status = 'applying';
 
-        // Reset selector to placeholder
-        elements.sensorSelector.value = '';
+    const sent = sendToBackend({
+        type: 'apply_zones',
+        requestId: target.requestId,
+        topic: target.topic,
+        payload: zoneManager.buildZoneConfigPayload(zones)
+    });
+    if (!sent) {
+        finishBulkTarget(target, 'failed', 'Not connected to the server');
         return;
     }
+    renderBulkApply();
+}
 
-    // Update the room name input
-    elements.roomName.value = selectedRoom;
+/**
+ * Record a room's result and move the queue along
+ */
+function finishBulkTarget(target, status, error = null) {
+    target.status = status;
+    target.error = error;
+    runBulkApplyQueue();
+}
 
-    // Load the configuration for this room
-    loadSensorConfig(selectedRoom);
+/**
+ * Follow the tracked applies started by the bulk dialog
+ */
+function updateBulkApplyProgress(message) {
+    const target = bulkApply?.targets.find(t => t.requestId === message.requestId && t.status === 'applying');
+    if (!target) return;
+
+    if (message.status === 'pending' || message.status === 'retrying') {
+        target.error = message.status === 'retrying' ? `attempt ${message.attempt}/${message.maxAttempts}` : null;
+        renderBulkApply();
+    } else if (message.status === 'success') {
+        finishBulkTarget(target, 'success');
+    } else {
+        finishBulkTarget(target, 'failed', message.error || APPLY_STATUS_TEXT[message.status] || message.status);
+    }
+}
+
+/**
+ * The server cancels a client's tracked applies when its connection drops,
+ * so rooms sent or waiting won't get a result anymore
+ */
+function failBulkApplies(error) {
+    if (!bulkApply?.running) return;
+
+    bulkApply.targets.forEach(target => {
+        if (target.status === 'applying' || target.status === 'queued') {
+            target.status = 'failed';
+            target.error = error;
+        }
+    });
+    runBulkApplyQueue();
+}
+
+/**
+ * Close the dialog; rooms already sent keep their tracked apply on the server
+ */
+function closeBulkApplyDialog() {
+    if (bulkApply?.running && !confirm('Stop applying? Rooms that are already being sent will finish, waiting rooms are skipped.')) {
+        return;
+    }
+
+    bulkApply = null;
+    elements.bulkApplyDialog.style.display = 'none';
 }
 
 // ============================================================================
@@ -1675,6 +4395,36 @@ elements.applyZonesBtn.addEventListener('click', async () => {
     publishZoneConfig(); // Send to sensor via MQTT
 });
 
+// Sensor Drift Banner Buttons
+if (elements.pullZonesBtn) {
+    elements.pullZonesBtn.addEventListener('click', pullZonesFromSensor);
+}
+if (elements.pushZonesBtn) {
+    elements.pushZonesBtn.addEventListener('click', pushZonesToSensor);
+}
+
+// Zone Profile Buttons
+if (elements.zoneProfileSelect) {
+    elements.loadProfileBtn.addEventListener('click', loadZoneProfile);
+    elements.activateProfileBtn.addEventListener('click', activateZoneProfile);
+    elements.saveProfileBtn.addEventListener('click', saveZoneProfile);
+    elements.deleteProfileBtn.addEventListener('click', deleteZoneProfile);
+    elements.toggleScheduleBtn.addEventListener('click', toggleProfileSchedule);
+    elements.addScheduleRuleBtn.addEventListener('click', addScheduleRule);
+}
+
+// Bulk Apply Dialog
+if (elements.bulkApplyBtn) {
+    elements.bulkApplyBtn.addEventListener('click', openBulkApplyDialog);
+    elements.bulkSourceRoom.addEventListener('change', selectBulkSourceRoom);
+    elements.bulkSourceSet.addEventListener('change', renderBulkApply);
+    elements.bulkConfirmBtn.addEventListener('click', confirmBulkApply);
+    elements.bulkRetryBtn.addEventListener('click', () => {
+        retryBulkTargets(bulkApply.targets.filter(target => target.selected && target.status === 'failed'));
+    });
+    elements.bulkCloseBtn.addEventListener('click', closeBulkApplyDialog);
+}
+
 // Reset Zones Button
 elements.resetZonesBtn.addEventListener('click', resetZones);
 
@@ -1695,6 +4445,57 @@ if (elements.positionReportingBtnMobile) {
     elements.positionReportingBtnMobile.addEventListener('click', togglePositionReporting);
 }
 
+if (elements.playbackBar) {
+    elements.playbackPlayBtn.addEventListener('click', () => {
+        if (playback.playing) {
+            pausePlayback();
+        } else {
+            playPlayback();
+        }
+    });
+    elements.playbackScrubber.addEventListener('input', () => seekPlayback(Number(elements.playbackScrubber.value)));
+    elements.playbackSpeed.addEventListener('change', () => {
+        playback.speed = Number(elements.playbackSpeed.value) || 1;
+    });
+    elements.playbackCloseBtn.addEventListener('click', stopPlayback);
+}
+
+if (elements.heatmapToggle) {
+    elements.heatmapToggle.addEventListener('change', () => {
+        state.heatmap.visible = elements.heatmapToggle.checked;
+        applyHeatmapView();
+    });
+    elements.heatmapOpacity.addEventListener('input', () => {
+        state.heatmap.opacity = Number(elements.heatmapOpacity.value) / 100;
+        applyHeatmapView();
+    });
+    elements.heatmapWindow.addEventListener('change', () => {
+        state.heatmap.windowMs = Number(elements.heatmapWindow.value);
+        liveHeatmap.setWindow(state.heatmap.windowMs);
+        renderHeatmapLegend();
+    });
+    elements.heatmapClearBtn.addEventListener('click', clearLiveHeatmap);
+    elements.suggestZonesBtn.addEventListener('click', suggestZones);
+    elements.dismissSuggestionsBtn.addEventListener('click', dismissZoneSuggestions);
+}
+
+if (elements.recordingToggleBtn) {
+    elements.recordingToggleBtn.addEventListener('click', toggleRecording);
+}
+
+if (elements.applySettingsBtn) {
+    elements.applySettingsBtn.addEventListener('click', applySavedSensorSettings);
+}
+
+if (elements.keepReportingOnBtn) {
+    elements.keepReportingOnBtn.addEventListener('click', keepReportingOn);
+}
+
+// Device Selector
+if (elements.deviceSelector) {
+    elements.deviceSelector.addEventListener('change', handleDeviceSelection);
+}
+
 // Sensor Selector
 if (elements.sensorSelector) {
     elements.sensorSelector.addEventListener('change', handleSensorSelection);
@@ -1710,6 +4511,42 @@ if (elements.deleteRoomBtn) {
     elements.deleteRoomBtn.addEventListener('click', deleteRoom);
 }
 
+// Rename / Duplicate Room Buttons
+if (elements.renameRoomBtn) {
+    elements.renameRoomBtn.addEventListener('click', renameRoom);
+}
+if (elements.duplicateRoomBtn) {
+    elements.duplicateRoomBtn.addEventListener('click', duplicateRoom);
+}
+
+// Backup Export / Import
+if (elements.exportRoomsBtn) {
+    elements.exportRoomsBtn.addEventListener('click', exportRooms);
+}
+if (elements.importRoomsBtn && elements.importRoomsFile) {
+    elements.importRoomsBtn.addEventListener('click', () => elements.importRoomsFile.click());
+    elements.importRoomsFile.addEventListener('change', handleImportFile);
+}
+if (elements.importCancelBtn) {
+    elements.importCancelBtn.addEventListener('click', closeImportDialog);
+}
+if (elements.importConfirmBtn) {
+    elements.importConfirmBtn.addEventListener('click', confirmImport);
+}
+
+// Room History Button and Preview Banner
+if (elements.roomHistoryBtn) {
+    elements.roomHistoryBtn.addEventListener('click', toggleHistoryPanel);
+}
+if (elements.historyPreviewRestoreBtn) {
+    elements.historyPreviewRestoreBtn.addEventListener('click', () => {
+        if (historyPreview) restoreRevision(historyPreview.revision);
+    });
+}
+if (elements.historyPreviewCloseBtn) {
+    elements.historyPreviewCloseBtn.addEventListener('click', closeRevisionPreview);
+}
+
 // Mobile Scroll Arrows for Objects Sidebar
 if (elements.scrollLeft && elements.scrollRight && elements.furnitureGrid) {
     const scrollAmount = 150; // pixels to scroll
@@ -1769,6 +4606,9 @@ if (elements.decreaseSizeBtn) {
 if (elements.deleteShapeBtn) {
     elements.deleteShapeBtn.addEventListener('click', deleteSelectedShape);
 }
+if (elements.splitZoneBtn) {
+    elements.splitZoneBtn.addEventListener('click', splitSelectedZone);
+}
 
 // Done Button - finish placement mode
 if (elements.doneBtn) {
@@ -1968,12 +4808,28 @@ async function init() {
     console.log('[INIT] Initializing storage manager...');
     await storageManager.init();
 
+    // Show the outcome of a save conflict resolved in the merge dialog
+    storageManager.onConfigReplaced = (roomName) => {
+        if (roomName === elements.roomName.value.trim()) {
+            loadSensorConfig(roomName);
+        }
+        populateSensorSelector();
+    };
+    storageManager.onValidationErrors = showValidationErrors;
+    storageManager.onConflict = showMergeDialog;
+
     // Load saved room name from localStorage
     loadCredentials();
 
     // Populate sensor selector with saved rooms
     populateSensorSelector();
 
+    // Load SHS01 devices discovered by the server
+    await loadDevices();
+
+    // Sessions recorded on the server
+    await loadRecordings();
+
     // Try to load config for current room name
     const currentRoom = elements.roomName.value;
     if (currentRoom && storageManager.hasSensorConfig(currentRoom)) {
@@ -1989,9 +4845,10 @@ async function init() {
     // Draw initial canvas state
     radarCanvas.drawFrame([], state.zones.zones, state.annotations);
 
-    // Start animation loop for canvas
+    // Start animation loop for canvas (shows a revision instead while previewing)
     function animate() {
-        radarCanvas.drawFrame(state.sensor.targets, state.zones.zones, state.annotations);
+        const layout = historyPreview || state;
+        radarCanvas.drawFrame(state.sensor.targets, layout.zones.zones, layout.annotations);
         requestAnimationFrame(animate);
     }
     animate();
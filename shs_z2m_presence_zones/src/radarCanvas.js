@@ -29,7 +29,11 @@ export class RadarCanvas {
         this.selectedFurnitureIndex = null;
         this.selectedEntranceIndex = null;
         this.selectedEdgeIndex = null;
+        this.mismatchedZones = []; // Zones whose reported occupancy disagrees with the prediction
         this.mapRotation = 0; // 0, 90, 180, 270
+        this.heatmap = null; // Heatmap drawn under furniture and zones
+        this.heatmapOpacity = 0.6;
+        this.ghostTargets = []; // Likely ghost targets with the interference zone that would cover them
 
         // Initialize
         this.resize();
@@ -91,7 +95,9 @@ export class RadarCanvas {
                 entrance: '#9a6700',
                 edge: 'rgba(140, 149, 159, 0.5)',
                 edgeBorder: '#8c959f',
-                edgePreview: 'rgba(140, 149, 159, 0.3)'
+                edgePreview: 'rgba(140, 149, 159, 0.3)',
+                mismatch: '#bc4c00',
+                ghost: '#8250df'
             };
         } else {
             this.COLORS = {
@@ -120,7 +126,9 @@ export class RadarCanvas {
                 entrance: '#d29922',
                 edge: 'rgba(80, 80, 80, 0.7)',
                 edgeBorder: '#6e7681',
-                edgePreview: 'rgba(80, 80, 80, 0.4)'
+                edgePreview: 'rgba(80, 80, 80, 0.4)',
+                mismatch: '#db6d28',
+                ghost: '#a371f7'
             };
         }
     }
@@ -161,6 +169,28 @@ export class RadarCanvas {
         this.selectedZoneIndex = index;
     }
 
+    /**
+     * Set the zones to flag as disagreeing with the sensor's occupancy report
+     */
+    setMismatchedZones(indices) {
+        this.mismatchedZones = indices;
+    }
+
+    /**
+     * Set the dwell time heatmap to draw (null hides it)
+     */
+    setHeatmap(heatmap, opacity = this.heatmapOpacity) {
+        this.heatmap = heatmap;
+        this.heatmapOpacity = opacity;
+    }
+
+    /**
+     * Set the likely ghost targets to flag ({ x, y, x1, y1, x2, y2 } in mm)
+     */
+    setGhostTargets(ghosts) {
+        this.ghostTargets = ghosts;
+    }
+
     /**
      * Set the selected furniture index
      */
@@ -293,6 +323,11 @@ export class RadarCanvas {
         // Draw grid
         this.drawGrid();
 
+        // Draw heatmap under furniture and zones
+        if (this.heatmap) {
+            this.drawHeatmap(this.heatmap);
+        }
+
         // Draw annotations (furniture, entrances) if provided - inside rotation for proper alignment
         if (annotations) {
             this.drawAnnotations(annotations);
@@ -321,6 +356,9 @@ export class RadarCanvas {
             this.drawSelectionHandles(zones[this.selectedZoneIndex]);
         }
 
+        // Flag likely ghost targets
+        this.ghostTargets.forEach(ghost => this.drawGhostTarget(ghost));
+
         // Draw drawing preview
         if (this.drawingPreview) {
             this.drawPreview(this.drawingPreview);
@@ -1278,6 +1316,35 @@ export class RadarCanvas {
         this.ctx.stroke();
     }
 
+    /**
+     * Draw dwell time per cell, from blue (short) to red (the longest)
+     */
+    drawHeatmap(heatmap) {
+        const max = heatmap.getMaxDwell();
+        if (max <= 0) return;
+
+        const width = heatmap.cellSize * this.scaleX;
+        const height = heatmap.cellSize * this.scaleY;
+
+        this.ctx.save();
+        this.ctx.globalAlpha = this.heatmapOpacity;
+        heatmap.getCells().forEach(cell => {
+            this.ctx.fillStyle = RadarCanvas.getHeatmapColor(cell.dwell / max);
+            // Cells overlap by a pixel so no seams show between them
+            this.ctx.fillRect(this.toCanvasX(cell.x), this.toCanvasY(cell.y) - height, width + 1, height + 1);
+        });
+        this.ctx.restore();
+    }
+
+    /**
+     * Heatmap color for a share (0-1) of the longest dwell time
+     * Matches the legend gradient in the stylesheet
+     */
+    static getHeatmapColor(share) {
+        const hue = 240 * (1 - Math.max(0, Math.min(1, share)));
+        return `hsl(${hue}, 90%, 50%)`;
+    }
+
     drawSensorOrigin() {
         const x = this.toCanvasX(0);
         const y = this.toCanvasY(0);
@@ -1327,6 +1394,35 @@ export class RadarCanvas {
         } else {
             this.drawRectangleZone(zone, index, color, isSelected);
         }
+
+        if (this.mismatchedZones.includes(index)) {
+            this.drawZoneMismatch(zone);
+        }
+    }
+
+    /**
+     * Outline a zone whose occupancy the sensor reports differently than predicted
+     */
+    drawZoneMismatch(zone) {
+        const corner1 = this.transformSensorToRoom(zone.x1, zone.y1);
+        const corner2 = this.transformSensorToRoom(zone.x2, zone.y2);
+        const x1 = Math.min(this.toCanvasX(corner1.x), this.toCanvasX(corner2.x)) - 4;
+        const y1 = Math.min(this.toCanvasY(corner1.y), this.toCanvasY(corner2.y)) - 4;
+        const x2 = Math.max(this.toCanvasX(corner1.x), this.toCanvasX(corner2.x)) + 4;
+        const y2 = Math.max(this.toCanvasY(corner1.y), this.toCanvasY(corner2.y)) + 4;
+
+        this.ctx.setLineDash([8, 4]);
+        this.ctx.strokeStyle = this.COLORS.mismatch;
+        this.ctx.lineWidth = 2;
+        this.ctx.strokeRect(x1, y1, x2 - x1, y2 - y1);
+        this.ctx.setLineDash([]);
+
+        this.drawUprightText('Sensor disagrees', (x1 + x2) / 2, y2 - 8, {
+            font: 'bold 10px sans-serif',
+            color: this.COLORS.mismatch,
+            align: 'center',
+            skipRotation: true
+        });
     }
 
     drawRectangleZone(zone, index, color, isSelected) {
@@ -1393,11 +1489,13 @@ export class RadarCanvas {
         this.ctx.lineWidth = isSelected ? 3 : 2;
         this.ctx.stroke();
 
-        // Draw bounding box outline (dashed) to show what sensor receives
-        const x1 = this.toCanvasX(zone.x1);
-        const y1 = this.toCanvasY(zone.y1);
-        const x2 = this.toCanvasX(zone.x2);
-        const y2 = this.toCanvasY(zone.y2);
+        // The sensor only receives x1..y2, so overlay the rectangle it will enforce
+        const corner1 = this.transformSensorToRoom(zone.x1, zone.y1);
+        const corner2 = this.transformSensorToRoom(zone.x2, zone.y2);
+        const x1 = this.toCanvasX(corner1.x);
+        const y1 = this.toCanvasY(corner1.y);
+        const x2 = this.toCanvasX(corner2.x);
+        const y2 = this.toCanvasY(corner2.y);
 
         this.ctx.setLineDash([4, 4]);
         this.ctx.strokeStyle = color.border;
@@ -1405,6 +1503,16 @@ export class RadarCanvas {
         this.ctx.strokeRect(x1, y1, x2 - x1, y2 - y1);
         this.ctx.setLineDash([]);
 
+        const extra = this.getBoundingBoxOverhead(zone);
+        if (extra >= 1) {
+            this.drawUprightText(`Sensor: +${Math.round(extra)}% area`, (x1 + x2) / 2, Math.min(y1, y2) + 10, {
+                font: '10px sans-serif',
+                color: color.border,
+                align: 'center',
+                skipRotation: true
+            });
+        }
+
         // Label - centered inside the zone (skipRotation since zones are outside ctx.rotate)
         const centerX = (x1 + x2) / 2;
         const centerY = (y1 + y2) / 2;
@@ -1434,6 +1542,30 @@ export class RadarCanvas {
         });
     }
 
+    /**
+     * Area of a polygon in mm² (shoelace formula)
+     */
+    getPolygonArea(vertices) {
+        let sum = 0;
+        for (let i = 0, j = vertices.length - 1; i < vertices.length; j = i++) {
+            sum += vertices[j].x * vertices[i].y - vertices[i].x * vertices[j].y;
+        }
+        return Math.abs(sum) / 2;
+    }
+
+    /**
+     * Extra area (in % of the polygon) the sensor covers by enforcing the bounding rectangle
+     */
+    getBoundingBoxOverhead(zone) {
+        if (zone.shapeType !== 'polygon' || !zone.vertices || zone.vertices.length < 3) return 0;
+
+        const polygonArea = this.getPolygonArea(zone.vertices);
+        const boxArea = Math.abs(zone.x2 - zone.x1) * Math.abs(zone.y2 - zone.y1);
+        if (polygonArea === 0) return 0;
+
+        return (boxArea - polygonArea) / polygonArea * 100;
+    }
+
     /**
      * Draw selection handles for a zone
      */
@@ -1493,6 +1625,8 @@ export class RadarCanvas {
             this.drawRectanglePreview(preview.rect, preview.rect.isEdge);
         } else if (preview.type === 'polygon' && preview.vertices) {
             this.drawPolygonPreview(preview.vertices);
+        } else if (preview.type === 'suggestions' && preview.rects) {
+            this.drawSuggestionPreviews(preview.rects);
         } else if (preview.isEdge) {
             // Direct edge preview from updateEdgePreview
             this.drawRectanglePreview(preview, true);
@@ -1532,6 +1666,57 @@ export class RadarCanvas {
         });
     }
 
+    /**
+     * Draw a likely ghost target: a cross at its centre and a dashed outline of
+     * the interference zone that would cover it
+     */
+    drawGhostTarget(ghost) {
+        const corner1 = this.transformSensorToRoom(ghost.x1, ghost.y1);
+        const corner2 = this.transformSensorToRoom(ghost.x2, ghost.y2);
+        const center = this.transformSensorToRoom(ghost.x, ghost.y);
+        const x1 = this.toCanvasX(corner1.x);
+        const y1 = this.toCanvasY(corner1.y);
+        const x2 = this.toCanvasX(corner2.x);
+        const y2 = this.toCanvasY(corner2.y);
+        const cx = this.toCanvasX(center.x);
+        const cy = this.toCanvasY(center.y);
+
+        this.ctx.strokeStyle = this.COLORS.ghost;
+        this.ctx.lineWidth = 2;
+        this.ctx.setLineDash([3, 3]);
+        this.ctx.strokeRect(x1, y1, x2 - x1, y2 - y1);
+        this.ctx.setLineDash([]);
+
+        this.ctx.beginPath();
+        this.ctx.moveTo(cx - 6, cy - 6);
+        this.ctx.lineTo(cx + 6, cy + 6);
+        this.ctx.moveTo(cx + 6, cy - 6);
+        this.ctx.lineTo(cx - 6, cy + 6);
+        this.ctx.stroke();
+
+        this.drawUprightText('Ghost?', (x1 + x2) / 2, Math.min(y1, y2) - 8, {
+            font: 'bold 11px sans-serif',
+            color: this.COLORS.ghost,
+            skipRotation: true
+        });
+    }
+
+    /**
+     * Draw numbered zone suggestions as rectangle previews
+     */
+    drawSuggestionPreviews(rects) {
+        rects.forEach((rect, index) => {
+            this.drawRectanglePreview(rect);
+
+            const center = this.transformSensorToRoom((rect.x1 + rect.x2) / 2, (rect.y1 + rect.y2) / 2);
+            this.drawUprightText(String(index + 1), this.toCanvasX(center.x), this.toCanvasY(center.y), {
+                font: 'bold 16px sans-serif',
+                color: this.COLORS.previewBorder,
+                skipRotation: true
+            });
+        });
+    }
+
     /**
      * Draw polygon preview while drawing
      */
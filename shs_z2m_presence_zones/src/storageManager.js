@@ -6,11 +6,23 @@
 
 const SENSOR_CONFIGS_KEY = 'ld2450_sensor_configs';
 
+// Backup archive format written by exportConfigs()
+const ARCHIVE_FORMAT = 'shs-z2m-presence-zones/rooms';
+const ARCHIVE_VERSION = 1;
+
 export class StorageManager {
     constructor() {
         this.configs = {};
         this.initialized = false;
         this.useServerStorage = true; // Will be set to false if server API is unavailable
+        this.revisions = {}; // Server revision each room was loaded at
+        this.baseConfigs = {}; // Server copy at that revision, the common ancestor when a save conflicts
+        this.pendingSaves = {}; // Latest unsent config per room
+        this.saveQueue = Promise.resolve();
+        this.onConfigReplaced = null; // Called with (roomName, config) when a conflict resolution changes the room
+        this.onValidationErrors = null; // Called with (roomName, errors) after each save; errors is empty on success
+        this.onConflict = null; // Called with (roomName, mine, theirs, differences) to choose the keys to keep from this client's copy
+        this.clientId = Math.random().toString(36).slice(2); // Lets this tab recognise its own room_changed events
     }
 
     /**
@@ -37,6 +49,7 @@ export class StorageManager {
             if (response.ok) {
                 const data = await response.json();
                 this.configs = data.configs || {};
+                this.trackRevisions();
                 console.log(`[StorageManager] Loaded ${Object.keys(this.configs).length} rooms from server`);
                 this.useServerStorage = true;
             } else {
@@ -51,6 +64,32 @@ export class StorageManager {
         this.initialized = true;
     }
 
+    /**
+     * Remember the server revision of every loaded room
+     */
+    trackRevisions() {
+        const pending = this.pendingSaves || {};
+        for (const roomName of Object.keys(this.revisions || {})) {
+            if (!pending[roomName]) this.forgetBase(roomName);
+        }
+        for (const [roomName, config] of Object.entries(this.configs)) {
+            if (!pending[roomName]) this.setBase(roomName, config);
+        }
+    }
+
+    /**
+     * Remember the server copy the next save of a room is based on
+     */
+    setBase(roomName, config) {
+        this.revisions[roomName] = config.revision || 0;
+        this.baseConfigs[roomName] = JSON.parse(JSON.stringify(config));
+    }
+
+    forgetBase(roomName) {
+        delete this.revisions[roomName];
+        delete this.baseConfigs[roomName];
+    }
+
     /**
      * Load configs from localStorage (fallback for development)
      */
@@ -89,7 +128,7 @@ export class StorageManager {
     /**
      * Save configuration for a specific room
      * @param {string} roomName - Room name
-     * @param {object} config - Configuration object containing zones, annotations, and mqttTopic
+     * @param {object} config - Configuration object containing zones, annotations, mqttTopic, deviceIeee and sensor settings
      * @returns {Promise<boolean>} - Success status
      */
     async saveSensorConfig(roomName, config) {
@@ -97,7 +136,12 @@ export class StorageManager {
             zones: config.zones || this.getDefaultZoneConfig(),
             annotations: config.annotations || this.getDefaultAnnotations(),
             mqttTopic: config.mqttTopic || '',
+            deviceIeee: config.deviceIeee || null,
             mapRotation: config.mapRotation || 0,
+            profiles: config.profiles || [],
+            schedule: config.schedule || [],
+            settings: config.settings || {},
+            activeProfile: config.activeProfile || null, // Owned by the server, kept for the local cache
             lastModified: new Date().toISOString()
         };
 
@@ -105,29 +149,298 @@ export class StorageManager {
         this.configs[roomName] = configData;
 
         if (this.useServerStorage) {
-            try {
-                const response = await fetch(`${this.getBasePath()}/api/rooms/${encodeURIComponent(roomName)}`, {
-                    method: 'POST',
-                    headers: { 'Content-Type': 'application/json' },
-                    body: JSON.stringify(configData)
-                });
+            // Saves go out one at a time so each one carries the revision it is based on.
+            // Queued auto-saves of the same room collapse into the latest config.
+            this.pendingSaves[roomName] = configData;
+            const save = this.saveQueue.then(() => this.sendPendingSave(roomName));
+            this.saveQueue = save.catch(() => {});
+            return save;
+        } else {
+            this.saveToLocalStorage();
+            return true;
+        }
+    }
 
-                if (!response.ok) {
-                    throw new Error(`Server returned ${response.status}`);
-                }
+    /**
+     * Send the latest unsent config of a room to the server
+     * @param {string} roomName - Room name
+     * @returns {Promise<boolean>} - Success status
+     */
+    async sendPendingSave(roomName) {
+        const configData = this.pendingSaves[roomName];
+        if (!configData) return true; // Already sent with an earlier save
+        delete this.pendingSaves[roomName];
 
-                console.log(`[StorageManager] Saved room "${roomName}" to server`);
-                return true;
-            } catch (error) {
-                console.error(`[StorageManager] Failed to save to server:`, error.message);
-                // Fall back to localStorage
-                this.saveToLocalStorage();
+        try {
+            const response = await this.postRoomConfig(roomName, configData);
+
+            if (response.status === 409) {
+                const data = await response.json();
+                console.warn(`[StorageManager] Room "${roomName}" was changed elsewhere (revision ${data.revision})`);
+                return await this.resolveConflict(roomName, configData, data.current);
+            }
+
+            // Rejected by the server schema: keep the edits in the UI, report the offending fields
+            if (response.status === 422) {
+                const data = await response.json();
+                console.warn(`[StorageManager] Room "${roomName}" rejected:`, data.errors);
+                if (this.onValidationErrors) {
+                    this.onValidationErrors(roomName, data.errors || []);
+                }
                 return false;
             }
-        } else {
+
+            if (!response.ok) {
+                throw new Error(`Server returned ${response.status}`);
+            }
+
+            // Keep the revision number assigned by the server
+            const data = await response.json();
+            configData.revision = data.revision;
+            this.setBase(roomName, configData);
+            if (this.onValidationErrors) {
+                this.onValidationErrors(roomName, []);
+            }
+
+            console.log(`[StorageManager] Saved room "${roomName}" to server (revision ${data.revision})`);
+            return true;
+        } catch (error) {
+            console.error(`[StorageManager] Failed to save to server:`, error.message);
+            // Fall back to localStorage
             this.saveToLocalStorage();
+            return false;
+        }
+    }
+
+    /**
+     * POST a room config based on the revision this client last saw
+     */
+    postRoomConfig(roomName, configData) {
+        return fetch(`${this.getBasePath()}/api/rooms/${encodeURIComponent(roomName)}`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json', 'X-Client-Id': this.clientId },
+            body: JSON.stringify({ ...configData, baseRevision: this.revisions[roomName] || 0 })
+        });
+    }
+
+    // ========================================================================
+    // Conflict Resolution
+    // ========================================================================
+
+    /**
+     * Resolve a rejected save against the copy currently stored on the server
+     * Both copies are compared with the one this client loaded: changes made on only one
+     * side are kept, and only items changed on both sides are asked about
+     * @param {string} roomName - Room name
+     * @param {object} mine - Config this client tried to save
+     * @param {object|null} theirs - Current server copy (null if the room was deleted)
+     * @returns {Promise<boolean>} - True unless the user discarded their changes or saving failed
+     */
+    async resolveConflict(roomName, mine, theirs) {
+        // An edit queued meanwhile is the newest version of this client's copy
+        if (this.pendingSaves[roomName]) {
+            mine = this.pendingSaves[roomName];
+            delete this.pendingSaves[roomName];
+        }
+
+        // Room deleted elsewhere: saving recreates it
+        if (!theirs) {
+            this.revisions[roomName] = 0;
+            delete this.baseConfigs[roomName];
+            this.pendingSaves[roomName] = mine;
+            return this.sendPendingSave(roomName);
+        }
+
+        const base = this.baseConfigs[roomName];
+        this.setBase(roomName, theirs);
+        const differences = this.diffConfigs(mine, theirs);
+
+        // Without the loaded copy every difference counts as changed on both sides
+        const changedKeys = (config) => new Set((base ? this.diffConfigs(base, config) : differences).map(d => d.key));
+        const changedHere = changedKeys(mine);
+        const changedThere = changedKeys(theirs);
+        const ours = differences.filter(d => changedHere.has(d.key) && !changedThere.has(d.key));
+        const conflicts = differences.filter(d => changedHere.has(d.key) && changedThere.has(d.key));
+
+        // Nothing of ours is at stake, take the server copy
+        if (ours.length === 0 && conflicts.length === 0) {
+            this.adoptServerCopy(roomName, theirs);
             return true;
         }
+
+        const keep = new Set(ours.map(d => d.key));
+        if (conflicts.length > 0) {
+            // Without a handler the saved copy wins the items changed on both sides
+            const keepMine = this.onConflict ? await this.onConflict(roomName, mine, theirs, conflicts) : new Set();
+
+            // Anything saved while the dialog was open was made before the resolution
+            delete this.pendingSaves[roomName];
+
+            if (!keepMine) {
+                this.adoptServerCopy(roomName, theirs);
+                return false;
+            }
+            keepMine.forEach(key => keep.add(key));
+        }
+
+        const merged = this.mergeConfigs(mine, theirs, differences.filter(d => keep.has(d.key)));
+        this.configs[roomName] = merged;
+        this.pendingSaves[roomName] = merged;
+        const saved = await this.sendPendingSave(roomName);
+
+        if (this.onConfigReplaced) {
+            this.onConfigReplaced(roomName, this.configs[roomName]);
+        }
+        return saved;
+    }
+
+    /**
+     * Replace the local copy of a room with the server copy
+     */
+    adoptServerCopy(roomName, theirs) {
+        this.configs[roomName] = theirs;
+        console.log(`[StorageManager] Using server copy of "${roomName}" (revision ${theirs.revision})`);
+
+        if (this.onConfigReplaced) {
+            this.onConfigReplaced(roomName, theirs);
+        }
+    }
+
+    /**
+     * List the zones, furniture, entrances, edges and settings that differ between two configs
+     * @returns {object[]} - Differences with { key, label, change, mine, theirs }
+     */
+    diffConfigs(mine, theirs) {
+        const differences = [];
+        const same = (a, b) => JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+
+        // Zones are compared slot by slot
+        const myZones = this.migrateZoneConfig(mine.zones);
+        const theirZones = this.migrateZoneConfig(theirs.zones);
+        if (myZones.type !== theirZones.type) {
+            differences.push({ key: 'zoneMode', label: 'Zone mode', change: 'changed', mine: myZones.type, theirs: theirZones.type });
+        }
+        myZones.zones.forEach((zone, index) => {
+            const other = theirZones.zones[index];
+            if (!same(zone, other)) {
+                differences.push({ key: `zone:${index}`, label: `Zone ${index + 1}`, change: this.describeZoneChange(zone, other), mine: zone, theirs: other });
+            }
+        });
+
+        // Annotations are matched by id
+        const myAnnotations = mine.annotations || this.getDefaultAnnotations();
+        const theirAnnotations = theirs.annotations || this.getDefaultAnnotations();
+        const kinds = [
+            { list: 'furniture', label: item => this.formatTypeName(item.type) },
+            { list: 'entrances', label: item => item.label || 'Entrance' },
+            { list: 'edges', label: () => 'Room edge' }
+        ];
+
+        for (const kind of kinds) {
+            const myItems = myAnnotations[kind.list] || [];
+            const theirItems = theirAnnotations[kind.list] || [];
+            const ids = new Set([...myItems, ...theirItems].map(item => item.id));
+
+            for (const id of ids) {
+                const item = myItems.find(i => i.id === id);
+                const other = theirItems.find(i => i.id === id);
+                if (same(item, other)) continue;
+
+                differences.push({
+                    key: `${kind.list}:${id}`,
+                    label: kind.label(item || other),
+                    change: !other ? 'only in your copy' : !item ? 'only in the saved copy' : 'moved or resized',
+                    mine: item || null,
+                    theirs: other || null
+                });
+            }
+        }
+
+        if ((mine.mapRotation || 0) !== (theirs.mapRotation || 0)) {
+            differences.push({ key: 'mapRotation', label: 'Map rotation', change: `${mine.mapRotation || 0}° vs ${theirs.mapRotation || 0}°`, mine: mine.mapRotation || 0, theirs: theirs.mapRotation || 0 });
+        }
+        if ((mine.mqttTopic || '') !== (theirs.mqttTopic || '')) {
+            differences.push({ key: 'mqttTopic', label: 'MQTT topic', change: `${mine.mqttTopic || '(none)'} vs ${theirs.mqttTopic || '(none)'}`, mine: mine.mqttTopic, theirs: theirs.mqttTopic });
+        }
+
+        // Profiles and the schedule are kept or replaced as a whole
+        if (!same(mine.profiles || [], theirs.profiles || [])) {
+            const names = (profiles) => (profiles || []).map(p => p.name).join(', ') || '(none)';
+            differences.push({ key: 'profiles', label: 'Zone profiles', change: `${names(mine.profiles)} vs ${names(theirs.profiles)}`, mine: mine.profiles || [], theirs: theirs.profiles || [] });
+        }
+        if (!same(mine.schedule || [], theirs.schedule || [])) {
+            differences.push({ key: 'schedule', label: 'Profile schedule', change: 'changed', mine: mine.schedule || [], theirs: theirs.schedule || [] });
+        }
+        if (!same(mine.settings || {}, theirs.settings || {})) {
+            differences.push({ key: 'settings', label: 'Sensor settings', change: 'changed', mine: mine.settings || {}, theirs: theirs.settings || {} });
+        }
+
+        return differences;
+    }
+
+    /**
+     * Short description of how a zone slot differs
+     */
+    describeZoneChange(zone, other) {
+        if (zone.enabled && !other?.enabled) return 'only in your copy';
+        if (!zone.enabled && other?.enabled) return 'only in the saved copy';
+        if (zone.zoneType !== other?.zoneType) return 'type changed';
+        return 'shape changed';
+    }
+
+    /**
+     * Turn a furniture type like "bedside_table" into "Bedside Table"
+     */
+    formatTypeName(type) {
+        return (type || 'Object')
+            .split(/[_-]/)
+            .map(word => word.charAt(0).toUpperCase() + word.slice(1))
+            .join(' ');
+    }
+
+    /**
+     * Build a config from the server copy with the chosen differences taken from this client's copy
+     * @param {object} mine - This client's config
+     * @param {object} theirs - Server config
+     * @param {object[]} keep - Differences to take from this client's copy
+     * @returns {object} - Merged config
+     */
+    mergeConfigs(mine, theirs, keep) {
+        const merged = JSON.parse(JSON.stringify(theirs));
+        merged.zones = this.migrateZoneConfig(merged.zones);
+        merged.annotations = { ...this.getDefaultAnnotations(), ...merged.annotations };
+
+        for (const difference of keep) {
+            const [kind, id] = difference.key.split(/:(.*)/s);
+
+            if (kind === 'zoneMode') {
+                merged.zones.type = difference.mine;
+            } else if (kind === 'zone') {
+                merged.zones.zones[Number(id)] = difference.mine;
+            } else if (['mapRotation', 'mqttTopic', 'profiles', 'schedule', 'settings'].includes(kind)) {
+                merged[kind] = difference.mine;
+            } else {
+                const list = merged.annotations[kind] || [];
+                const index = list.findIndex(item => item.id === difference.theirs?.id);
+
+                if (!difference.mine) {
+                    if (index >= 0) list.splice(index, 1);
+                } else if (index >= 0) {
+                    list[index] = difference.mine;
+                } else {
+                    list.push(difference.mine);
+                }
+                merged.annotations[kind] = list;
+            }
+        }
+
+        // The device follows the topic it belongs to
+        if (keep.some(difference => difference.key === 'mqttTopic')) {
+            merged.deviceIeee = mine.deviceIeee || null;
+        }
+
+        merged.lastModified = new Date().toISOString();
+        return merged;
     }
 
     /**
@@ -142,11 +455,14 @@ export class StorageManager {
 
         // Update local cache immediately
         delete this.configs[roomName];
+        this.forgetBase(roomName);
+        delete this.pendingSaves[roomName];
 
         if (this.useServerStorage) {
             try {
                 const response = await fetch(`${this.getBasePath()}/api/rooms/${encodeURIComponent(roomName)}`, {
-                    method: 'DELETE'
+                    method: 'DELETE',
+                    headers: { 'X-Client-Id': this.clientId }
                 });
 
                 if (!response.ok && response.status !== 404) {
@@ -166,6 +482,349 @@ export class StorageManager {
         }
     }
 
+    /**
+     * Rename a room
+     * @param {string} roomName - Current room name
+     * @param {string} newName - New room name
+     * @returns {Promise<{success: boolean, error?: string}>}
+     */
+    async renameRoom(roomName, newName) {
+        const result = await this.sendRoomNameRequest('PATCH', roomName, '', newName);
+        if (!result.success) return result;
+
+        delete this.configs[roomName];
+        this.forgetBase(roomName);
+        this.configs[newName] = result.config;
+        this.setBase(newName, result.config);
+
+        console.log(`[StorageManager] Renamed room "${roomName}" to "${newName}"`);
+        return { success: true };
+    }
+
+    /**
+     * Duplicate a room under a new name
+     * @param {string} roomName - Room to copy
+     * @param {string} newName - Name of the copy
+     * @returns {Promise<{success: boolean, error?: string}>}
+     */
+    async duplicateRoom(roomName, newName) {
+        const result = await this.sendRoomNameRequest('POST', roomName, '/copy', newName);
+        if (!result.success) return result;
+
+        this.configs[newName] = result.config;
+        this.setBase(newName, result.config);
+
+        console.log(`[StorageManager] Duplicated room "${roomName}" as "${newName}"`);
+        return { success: true };
+    }
+
+    /**
+     * Send a rename or copy request and return the resulting config
+     * In localStorage mode the change is made locally
+     */
+    async sendRoomNameRequest(method, roomName, suffix, newName) {
+        if (!this.configs[roomName]) {
+            return { success: false, error: `Room "${roomName}" not found` };
+        }
+        if (this.configs[newName]) {
+            return { success: false, error: `A room named "${newName}" already exists` };
+        }
+
+        // Let queued saves of the room reach the server first
+        await this.saveQueue;
+
+        if (!this.useServerStorage) {
+            const config = JSON.parse(JSON.stringify(this.configs[roomName]));
+            config.lastModified = new Date().toISOString();
+            this.configs[newName] = config;
+            if (method === 'PATCH') delete this.configs[roomName];
+            this.saveToLocalStorage();
+            return { success: true, config };
+        }
+
+        try {
+            const response = await fetch(`${this.getBasePath()}/api/rooms/${encodeURIComponent(roomName)}${suffix}`, {
+                method,
+                headers: { 'Content-Type': 'application/json', 'X-Client-Id': this.clientId },
+                body: JSON.stringify({ name: newName })
+            });
+            const data = await response.json();
+            if (!response.ok) {
+                return { success: false, error: data.error || `Server returned ${response.status}` };
+            }
+            return { success: true, config: data.config };
+        } catch (error) {
+            console.error(`[StorageManager] ${method} "${roomName}" failed:`, error.message);
+            return { success: false, error: error.message };
+        }
+    }
+
+    /**
+     * Apply a rename made by another client
+     * @param {string} oldName - Previous room name
+     * @param {string} newName - New room name
+     * @param {object} config - Room configuration
+     */
+    applyRemoteRename(oldName, newName, config) {
+        delete this.configs[oldName];
+        this.forgetBase(oldName);
+        delete this.pendingSaves[oldName];
+        this.configs[newName] = config;
+        this.setBase(newName, config);
+    }
+
+    /**
+     * Get the saved revisions of a room (newest first)
+     * @param {string} roomName - Room name
+     * @returns {Promise<object[]>} - Revisions with { revision, savedAt, config }
+     */
+    async getRoomHistory(roomName) {
+        if (!this.useServerStorage) return [];
+
+        try {
+            const response = await fetch(`${this.getBasePath()}/api/rooms/${encodeURIComponent(roomName)}/history`);
+            if (!response.ok) {
+                throw new Error(`Server returned ${response.status}`);
+            }
+            const data = await response.json();
+            return data.revisions || [];
+        } catch (error) {
+            console.error(`[StorageManager] Failed to load history for "${roomName}":`, error.message);
+            return [];
+        }
+    }
+
+    /**
+     * Restore a saved revision of a room (stored as a new revision)
+     * @param {string} roomName - Room name
+     * @param {number} revision - Revision number to restore
+     * @returns {Promise<object|null>} - Restored configuration or null on failure
+     */
+    async restoreRoomRevision(roomName, revision) {
+        if (!this.useServerStorage) return null;
+
+        try {
+            const response = await fetch(`${this.getBasePath()}/api/rooms/${encodeURIComponent(roomName)}/restore/${revision}`, {
+                method: 'POST',
+                headers: { 'X-Client-Id': this.clientId }
+            });
+            if (!response.ok) {
+                throw new Error(`Server returned ${response.status}`);
+            }
+            const data = await response.json();
+            this.configs[roomName] = data.config;
+            this.setBase(roomName, data.config);
+            console.log(`[StorageManager] Restored room "${roomName}" to revision ${revision}`);
+            return data.config;
+        } catch (error) {
+            console.error(`[StorageManager] Failed to restore "${roomName}" revision ${revision}:`, error.message);
+            return null;
+        }
+    }
+
+    /**
+     * Get a room's active zone profile and its next scheduled switch
+     * @param {string} roomName - Room name
+     * @returns {Promise<{activeProfile: object|null, nextSwitch: {profile: string, at: string}|null}|null>}
+     */
+    async getProfileStatus(roomName) {
+        if (!this.useServerStorage) return null;
+
+        try {
+            const response = await fetch(`${this.getBasePath()}/api/rooms/${encodeURIComponent(roomName)}/schedule`);
+            if (!response.ok) {
+                throw new Error(`Server returned ${response.status}`);
+            }
+            return await response.json();
+        } catch (error) {
+            console.error(`[StorageManager] Failed to load profile status for "${roomName}":`, error.message);
+            return null;
+        }
+    }
+
+    /**
+     * Switch a room to one of its zone profiles; the server sends the zones to the sensor
+     * @param {string} roomName - Room name
+     * @param {string} profileName - Profile to activate
+     * @returns {Promise<object|null>} - Updated configuration or null on failure
+     */
+    async activateProfile(roomName, profileName) {
+        if (!this.useServerStorage) return null;
+
+        try {
+            const response = await fetch(`${this.getBasePath()}/api/rooms/${encodeURIComponent(roomName)}/profiles/${encodeURIComponent(profileName)}/activate`, {
+                method: 'POST',
+                headers: { 'X-Client-Id': this.clientId }
+            });
+            if (!response.ok) {
+                throw new Error(`Server returned ${response.status}`);
+            }
+            const data = await response.json();
+            this.configs[roomName] = data.config;
+            this.setBase(roomName, data.config);
+            console.log(`[StorageManager] Activated profile "${profileName}" in room "${roomName}"`);
+            return data.config;
+        } catch (error) {
+            console.error(`[StorageManager] Failed to activate profile "${profileName}" in "${roomName}":`, error.message);
+            return null;
+        }
+    }
+
+    /**
+     * List recorded sessions and the recordings in progress
+     * @returns {Promise<{recordings: object[], active: object[]}|null>}
+     */
+    async listRecordings() {
+        if (!this.useServerStorage) return null;
+
+        try {
+            const response = await fetch(`${this.getBasePath()}/api/recordings`);
+            if (!response.ok) {
+                throw new Error(`Server returned ${response.status}`);
+            }
+            return await response.json();
+        } catch (error) {
+            console.error('[StorageManager] Failed to list recordings:', error.message);
+            return null;
+        }
+    }
+
+    /**
+     * Start recording a room's sensor on the server
+     * @param {string} roomName - Room name
+     * @returns {Promise<{recording?: object, error?: string}>}
+     */
+    async startRecording(roomName) {
+        try {
+            const response = await fetch(`${this.getBasePath()}/api/recordings`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ room: roomName })
+            });
+            const data = await response.json();
+            if (!response.ok) {
+                return { error: data.error || `Server returned ${response.status}` };
+            }
+            console.log(`[StorageManager] Recording room "${roomName}" as ${data.recording.id}`);
+            return { recording: data.recording };
+        } catch (error) {
+            console.error(`[StorageManager] Failed to start recording "${roomName}":`, error.message);
+            return { error: error.message };
+        }
+    }
+
+    /**
+     * Stop a recording in progress
+     * @param {string} id - Session id
+     * @returns {Promise<boolean>} - Success status
+     */
+    async stopRecording(id) {
+        try {
+            const response = await fetch(`${this.getBasePath()}/api/recordings/${encodeURIComponent(id)}/stop`, { method: 'POST' });
+            if (!response.ok) {
+                throw new Error(`Server returned ${response.status}`);
+            }
+            return true;
+        } catch (error) {
+            console.error(`[StorageManager] Failed to stop recording ${id}:`, error.message);
+            return false;
+        }
+    }
+
+    /**
+     * Delete a recorded session
+     * @param {string} id - Session id
+     * @returns {Promise<boolean>} - Success status
+     */
+    async deleteRecording(id) {
+        try {
+            const response = await fetch(`${this.getBasePath()}/api/recordings/${encodeURIComponent(id)}`, { method: 'DELETE' });
+            if (!response.ok) {
+                throw new Error(`Server returned ${response.status}`);
+            }
+            return true;
+        } catch (error) {
+            console.error(`[StorageManager] Failed to delete recording ${id}:`, error.message);
+            return false;
+        }
+    }
+
+    /**
+     * Load a recorded session for playback
+     * @param {string} id - Session id
+     * @returns {Promise<{session: object|null, entries: Array<{t: string, data: object}>}|null>}
+     */
+    async loadRecording(id) {
+        try {
+            const response = await fetch(this.getRecordingUrl(id));
+            if (!response.ok) {
+                throw new Error(`Server returned ${response.status}`);
+            }
+
+            let session = null;
+            const entries = [];
+            (await response.text()).split('\n').forEach(line => {
+                if (!line) return;
+                let value;
+                try {
+                    value = JSON.parse(line);
+                } catch (error) {
+                    return; // A session still being written can end in a partial line
+                }
+                if (value.type === 'session') {
+                    session = value;
+                } else if (value.t && value.data) {
+                    entries.push(value);
+                }
+            });
+            return { session, entries };
+        } catch (error) {
+            console.error(`[StorageManager] Failed to load recording ${id}:`, error.message);
+            return null;
+        }
+    }
+
+    /**
+     * Download link for a recorded session
+     * @param {string} id - Session id
+     * @param {'ndjson'|'csv'} format - File format
+     */
+    getRecordingUrl(id, format = 'ndjson') {
+        return `${this.getBasePath()}/api/recordings/${encodeURIComponent(id)}?format=${format}`;
+    }
+
+    /**
+     * Apply a room saved by another client
+     * @param {string} roomName - Room name
+     * @param {object} config - Saved configuration
+     * @returns {boolean} - True if the local copy changed
+     */
+    applyRemoteChange(roomName, config) {
+        const known = this.revisions[roomName];
+        if (known !== undefined && known >= (config.revision || 0)) {
+            return false;
+        }
+
+        // An unsent local save is checked against the server and resolved in the merge dialog
+        if (this.pendingSaves[roomName]) {
+            return false;
+        }
+
+        this.configs[roomName] = config;
+        this.setBase(roomName, config);
+        return true;
+    }
+
+    /**
+     * Forget a room deleted by another client
+     * @param {string} roomName - Room name
+     */
+    applyRemoteDeletion(roomName) {
+        delete this.configs[roomName];
+        this.forgetBase(roomName);
+        delete this.pendingSaves[roomName];
+    }
+
     /**
      * Get list of all saved room names
      * @returns {string[]} - Array of room names with saved configurations
@@ -248,32 +907,120 @@ export class StorageManager {
     }
 
     /**
-     * Export all configurations as JSON string (for backup)
-     * @returns {string}
+     * Export all configurations as a versioned backup archive
+     * @returns {string} - Archive JSON
      */
     exportConfigs() {
-        return JSON.stringify(this.configs, null, 2);
+        const rooms = {};
+        for (const [roomName, config] of Object.entries(this.configs)) {
+            // Revision numbers only mean something to the server that assigned them
+            const { revision, restoredFrom, ...room } = config;
+            rooms[roomName] = room;
+        }
+
+        return JSON.stringify({
+            format: ARCHIVE_FORMAT,
+            version: ARCHIVE_VERSION,
+            exportedAt: new Date().toISOString(),
+            rooms
+        }, null, 2);
     }
 
     /**
-     * Import configurations from JSON string
-     * @param {string} jsonString
-     * @returns {Promise<boolean>} - Success status
+     * Read the rooms out of a backup archive
+     * Also accepts the plain { roomName: config } map written by earlier versions
+     * @param {string} jsonString - Archive JSON
+     * @returns {object} - Rooms keyed by name
+     * @throws {Error} - If the file is not a readable archive
      */
-    async importConfigs(jsonString) {
+    parseArchive(jsonString) {
+        let data;
         try {
-            const imported = JSON.parse(jsonString);
+            data = JSON.parse(jsonString);
+        } catch (error) {
+            throw new Error('File is not valid JSON');
+        }
+
+        if (!data || typeof data !== 'object' || Array.isArray(data)) {
+            throw new Error('File does not contain room configurations');
+        }
 
-            // Merge with existing configs
-            for (const [roomName, config] of Object.entries(imported)) {
-                await this.saveSensorConfig(roomName, config);
+        let rooms = data;
+        if (data.format !== undefined) {
+            if (data.format !== ARCHIVE_FORMAT) {
+                throw new Error(`Unknown archive format "${data.format}"`);
             }
+            if (data.version > ARCHIVE_VERSION) {
+                throw new Error(`Archive version ${data.version} is newer than this add-on supports (${ARCHIVE_VERSION})`);
+            }
+            rooms = data.rooms || {};
+        }
 
-            return true;
-        } catch (error) {
-            console.error('Error importing configs:', error);
-            return false;
+        for (const [roomName, config] of Object.entries(rooms)) {
+            if (!config || typeof config !== 'object' || !config.zones) {
+                throw new Error(`Room "${roomName}" is not a room configuration`);
+            }
+        }
+
+        return rooms;
+    }
+
+    /**
+     * Compare archived rooms with the saved rooms (dry run, nothing is saved)
+     * @param {object} rooms - Rooms keyed by name (from parseArchive)
+     * @returns {object[]} - Entries with { name, status: 'new'|'overwrite'|'unchanged', config }
+     */
+    planImport(rooms) {
+        return Object.entries(rooms).map(([name, config]) => {
+            const existing = this.configs[name];
+            let status = 'new';
+            if (existing) {
+                status = this.diffConfigs(config, existing).length === 0 ? 'unchanged' : 'overwrite';
+            }
+            return { name, status, config };
+        });
+    }
+
+    /**
+     * Import archived rooms
+     * @param {object[]} entries - Entries from planImport with an added action: 'skip'|'overwrite'|'copy'
+     * @returns {Promise<object[]>} - Results with { name, savedAs, success }
+     */
+    async importConfigs(entries) {
+        const results = [];
+
+        for (const entry of entries) {
+            if (entry.action === 'skip') continue;
+
+            const savedAs = entry.action === 'copy' ? this.getCopyName(entry.name) : entry.name;
+            const previous = this.configs[savedAs];
+            const success = await this.saveSensorConfig(savedAs, entry.config);
+
+            // Don't leave a rejected room in the local cache
+            if (!success) {
+                if (previous) {
+                    this.configs[savedAs] = previous;
+                } else {
+                    delete this.configs[savedAs];
+                }
+            }
+            results.push({ name: entry.name, savedAs, success });
+        }
+
+        return results;
+    }
+
+    /**
+     * Find a free name for a copy of a room ("Kitchen (copy)", "Kitchen (copy 2)", ...)
+     * @param {string} roomName - Original room name
+     * @returns {string}
+     */
+    getCopyName(roomName) {
+        let name = `${roomName} (copy)`;
+        for (let n = 2; this.configs[name]; n++) {
+            name = `${roomName} (copy ${n})`;
         }
+        return name;
     }
 
     /**
@@ -288,6 +1035,7 @@ export class StorageManager {
             if (response.ok) {
                 const data = await response.json();
                 this.configs = data.configs || {};
+                this.trackRevisions();
                 console.log(`[StorageManager] Refreshed ${Object.keys(this.configs).length} rooms from server`);
             }
         } catch (error) {
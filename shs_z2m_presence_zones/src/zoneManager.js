@@ -9,8 +9,14 @@ export class ZoneManager {
 
     /**
      * Check if a point (x, y) is inside a zone
+     * The firmware only stores rectangles, so polygons are tested against their bounding box
+     * unless geometry is 'polygon' (the shape as drawn)
      */
-    isPointInZone(x, y, zone) {
+    isPointInZone(x, y, zone, geometry = 'device') {
+        if (geometry === 'polygon' && zone.shapeType === 'polygon' && zone.vertices?.length >= 3) {
+            return this.isPointInPolygon(x, y, zone.vertices);
+        }
+
         const minX = Math.min(zone.x1, zone.x2);
         const maxX = Math.max(zone.x1, zone.x2);
         const minY = Math.min(zone.y1, zone.y2);
@@ -20,44 +26,74 @@ export class ZoneManager {
     }
 
     /**
-     * Check if a target should be detected based on zone configuration
-     * Returns true if target should be included in detection
+     * Evaluate targets the way the SHS01 firmware does
+     * - A target at 0,0 is an empty slot and is ignored
+     * - A target inside an enabled interference zone is a false positive: it never counts
+     *   towards zone occupancy, and only counts towards presence in mode Off where zones
+     *   don't filter
+     * - Off (0): every target counts
+     * - Include (1): a target counts only when inside at least one detection zone
+     * - Exclude (2): a target counts only when outside every detection zone
+     * - zoneN_occupied is set when a non-interference target is inside detection zone N,
+     *   in every mode
+     * @param {Array<{x, y}>} targets - Target positions in sensor coordinates (mm)
+     * @param {Object} zonesConfig - { type, zones } (defaults to the config passed to the constructor)
+     * @param {Object} options - { geometry: 'device' (bounding boxes) | 'polygon' (as drawn) }
+     * @returns {{ occupancy: boolean, zoneOccupied: boolean[], targets: Array<{
+     *   index, x, y, zones: number[], interference: boolean, detected: boolean }> }}
      */
-    shouldDetectTarget(target) {
-        const { type, zones } = this.config;
+    evaluateTargets(targets, zonesConfig = this.config, { geometry = 'device' } = {}) {
+        const { type, zones } = zonesConfig;
+        const zoneOccupied = zones.map(() => false);
 
-        // Mode 0: Disabled - detect all targets
-        if (type === 0) {
-            return true;
-        }
+        const evaluated = targets
+            .map((target, index) => ({ index, x: target.x, y: target.y }))
+            .filter(target => target.x !== 0 || target.y !== 0)
+            .map(target => {
+                const inside = zones
+                    .map((zone, i) => zone.enabled && this.isPointInZone(target.x, target.y, zone, geometry) ? i : -1)
+                    .filter(i => i !== -1);
+                const interference = inside.some(i => zones[i].zoneType === 'interference');
+                const detectionZones = inside.filter(i => zones[i].zoneType !== 'interference');
 
-        // Check if target is in any enabled zone
-        let inAnyZone = false;
-        for (const zone of zones) {
-            if (zone.enabled && this.isPointInZone(target.x, target.y, zone)) {
-                inAnyZone = true;
-                break;
-            }
-        }
+                if (!interference) {
+                    detectionZones.forEach(i => { zoneOccupied[i] = true; });
+                }
 
-        // Mode 1: Detection - only detect targets INSIDE zones
-        if (type === 1) {
-            return inAnyZone;
-        }
+                let detected;
+                if (type === 1) {
+                    detected = !interference && detectionZones.length > 0;
+                } else if (type === 2) {
+                    detected = !interference && detectionZones.length === 0;
+                } else {
+                    detected = true;
+                }
 
-        // Mode 2: Filter - only detect targets OUTSIDE zones (exclude zones)
-        if (type === 2) {
-            return !inAnyZone;
-        }
+                return { ...target, zones: inside, interference, detected };
+            });
+
+        return {
+            occupancy: evaluated.some(target => target.detected),
+            zoneOccupied,
+            targets: evaluated
+        };
+    }
 
-        return true;
+    /**
+     * Check if a target should be detected based on zone configuration
+     * Returns true if target should be included in detection
+     */
+    shouldDetectTarget(target, zonesConfig = this.config, options = {}) {
+        const [result] = this.evaluateTargets([target], zonesConfig, options).targets;
+        return result ? result.detected : false;
     }
 
     /**
      * Filter targets based on zone configuration
      */
-    filterTargets(targets) {
-        return targets.filter(target => this.shouldDetectTarget(target));
+    filterTargets(targets, zonesConfig = this.config, options = {}) {
+        const { targets: evaluated } = this.evaluateTargets(targets, zonesConfig, options);
+        return evaluated.filter(target => target.detected).map(target => targets[target.index]);
     }
 
     /**
@@ -85,12 +121,234 @@ export class ZoneManager {
             errors.push('Zone must have non-zero area');
         }
 
+        // Polygon vertices must form a shape inside sensor range
+        if (zone.shapeType === 'polygon') {
+            const vertices = zone.vertices || [];
+            if (vertices.length < 3) {
+                errors.push('Polygon needs at least 3 vertices');
+            }
+            if (vertices.some(v => v.x < -3000 || v.x > 3000 || v.y < 0 || v.y > 6000)) {
+                errors.push('Polygon vertices must be within -3000 to 3000mm (X) and 0 to 6000mm (Y)');
+            }
+        }
+
         return {
             valid: errors.length === 0,
             errors
         };
     }
 
+    /**
+     * Build the zone_config payload the SHS01 Z2M converter expects
+     * { zone_config: { zone_type, zone1_enabled, zone1_type, zone1_x1, ... } }
+     * Polygons are sent as their bounding rectangle
+     */
+    buildZoneConfigPayload(zonesConfig) {
+        const payload = { zone_type: zonesConfig.type };
+
+        zonesConfig.zones.forEach((zone, index) => {
+            const n = index + 1;
+            payload[`zone${n}_enabled`] = zone.enabled;
+            payload[`zone${n}_type`] = zone.zoneType || 'detection';
+            payload[`zone${n}_x1`] = zone.x1;
+            payload[`zone${n}_y1`] = zone.y1;
+            payload[`zone${n}_x2`] = zone.x2;
+            payload[`zone${n}_y2`] = zone.y2;
+        });
+
+        return { zone_config: payload };
+    }
+
+    /**
+     * Read zone settings reported by the sensor back into the zone model
+     * Accepts a zone_config object or the same keys at the top level of the device state
+     * @returns {object|null} - { type, zones } (unreported zones are null), or null if the message has no zone settings
+     */
+    parseZoneConfigPayload(data) {
+        if (!data || typeof data !== 'object' || Array.isArray(data)) return null;
+
+        const source = data.zone_config && typeof data.zone_config === 'object' ? data.zone_config : data;
+        const modes = { off: 0, include: 1, exclude: 2 };
+        const toBool = (value) => value === true || value === 'ON' || value === 'true' || value === 1;
+
+        let type = source.zone_type;
+        if (typeof type === 'string') {
+            type = modes[type.toLowerCase()] ?? parseInt(type, 10);
+        }
+
+        const zones = [1, 2, 3, 4, 5].map(n => {
+            const coords = ['x1', 'y1', 'x2', 'y2'].map(key => Number(source[`zone${n}_${key}`]));
+            if (source[`zone${n}_enabled`] === undefined || coords.some(Number.isNaN)) {
+                return null;
+            }
+            return {
+                enabled: toBool(source[`zone${n}_enabled`]),
+                shapeType: 'rectangle',
+                x1: coords[0],
+                y1: coords[1],
+                x2: coords[2],
+                y2: coords[3],
+                vertices: null,
+                zoneType: source[`zone${n}_type`] || 'detection'
+            };
+        });
+
+        const hasType = Number.isInteger(type);
+        if (!hasType && zones.every(zone => zone === null)) {
+            return null;
+        }
+
+        return { type: hasType ? type : null, zones };
+    }
+
+    /**
+     * Compare a saved zone config with what the sensor reported
+     * Only settings the sensor stores are compared (polygons by their bounding rectangle)
+     * @returns {string[]} - Names of the settings that differ, e.g. ['Zone mode', 'Zone 2']
+     */
+    diffDeviceZones(saved, device) {
+        const differences = [];
+
+        if (device.type !== null && device.type !== saved.type) {
+            differences.push('Zone mode');
+        }
+
+        device.zones.forEach((reported, index) => {
+            const zone = saved.zones[index];
+            if (!reported || !zone) return;
+
+            if (!this.deviceZoneMatches(zone, reported)) {
+                differences.push(`Zone ${index + 1}`);
+            }
+        });
+
+        return differences;
+    }
+
+    /**
+     * Take the zone settings reported by the sensor into a zone config
+     * Zones that already match keep their polygon shape. Reported zones are copied,
+     * so later edits don't change what the sensor is known to hold.
+     */
+    pullDeviceZones(config, device) {
+        if (device.type !== null) {
+            config.type = device.type;
+        }
+        device.zones.forEach((reported, index) => {
+            if (reported && !this.deviceZoneMatches(config.zones[index], reported)) {
+                config.zones[index] = { ...reported };
+            }
+        });
+        return config;
+    }
+
+    /**
+     * Check whether a zone reported by the sensor matches a configured zone
+     * Coordinates of a disabled zone don't matter to the sensor
+     */
+    deviceZoneMatches(zone, reported) {
+        if (zone.enabled !== reported.enabled) return false;
+        if (!zone.enabled) return true;
+
+        return (zone.zoneType || 'detection') === reported.zoneType &&
+            ['x1', 'y1', 'x2', 'y2'].every(key => zone[key] === reported[key]);
+    }
+
+    /**
+     * Check whether every edge of a polygon is horizontal or vertical
+     */
+    isRectilinearPolygon(vertices) {
+        if (!vertices || vertices.length < 4) return false;
+
+        return vertices.every((v, i) => {
+            const next = vertices[(i + 1) % vertices.length];
+            return v.x === next.x || v.y === next.y;
+        });
+    }
+
+    /**
+     * Split a rectilinear polygon into axis-aligned rectangles the sensor can enforce exactly
+     * The polygon is cut into a grid along its vertex coordinates, inside cells are merged
+     * into rows and rows with the same span are stacked. Both cut directions are tried and
+     * the one giving fewer rectangles wins.
+     * @returns {Array<{x1, y1, x2, y2}>} - Rectangles (empty if the polygon isn't rectilinear)
+     */
+    decomposeRectilinearPolygon(vertices) {
+        if (!this.isRectilinearPolygon(vertices)) return [];
+
+        const byRows = this.mergeGridCells(vertices, false);
+        const byColumns = this.mergeGridCells(vertices, true);
+        return byColumns.length < byRows.length ? byColumns : byRows;
+    }
+
+    /**
+     * Merge the inside cells of a polygon's vertex grid into rectangles
+     * @param {boolean} transpose - Build columns instead of rows
+     */
+    mergeGridCells(vertices, transpose) {
+        const swap = (p) => transpose ? { x: p.y, y: p.x } : p;
+        const points = vertices.map(swap);
+        const xs = [...new Set(points.map(p => p.x))].sort((a, b) => a - b);
+        const ys = [...new Set(points.map(p => p.y))].sort((a, b) => a - b);
+
+        const rectangles = [];
+        let open = []; // Rectangles that may still grow into the next row
+
+        for (let row = 0; row < ys.length - 1; row++) {
+            const y1 = ys[row];
+            const y2 = ys[row + 1];
+            const centerY = (y1 + y2) / 2;
+
+            // Runs of inside cells in this row
+            const runs = [];
+            for (let col = 0; col < xs.length - 1; col++) {
+                const centerX = (xs[col] + xs[col + 1]) / 2;
+                if (!this.isPointInPolygon(centerX, centerY, points)) continue;
+
+                const last = runs[runs.length - 1];
+                if (last && last.x2 === xs[col]) {
+                    last.x2 = xs[col + 1];
+                } else {
+                    runs.push({ x1: xs[col], x2: xs[col + 1] });
+                }
+            }
+
+            // Extend rectangles from the row above that have exactly the same span
+            const next = [];
+            runs.forEach(run => {
+                const above = open.find(r => r.x1 === run.x1 && r.x2 === run.x2);
+                if (above) {
+                    above.y2 = y2;
+                    next.push(above);
+                } else {
+                    next.push({ x1: run.x1, y1, x2: run.x2, y2 });
+                }
+            });
+            open.filter(r => !next.includes(r)).forEach(r => rectangles.push(r));
+            open = next;
+        }
+        rectangles.push(...open);
+
+        return rectangles.map(r => transpose
+            ? { x1: r.y1, y1: r.x1, x2: r.y2, y2: r.x2 }
+            : r);
+    }
+
+    /**
+     * Ray-casting point in polygon test
+     */
+    isPointInPolygon(x, y, vertices) {
+        let inside = false;
+        for (let i = 0, j = vertices.length - 1; i < vertices.length; j = i++) {
+            const xi = vertices[i].x, yi = vertices[i].y;
+            const xj = vertices[j].x, yj = vertices[j].y;
+            if (((yi > y) !== (yj > y)) && (x < (xj - xi) * (y - yi) / (yj - yi) + xi)) {
+                inside = !inside;
+            }
+        }
+        return inside;
+    }
+
     /**
      * Get zone statistics
      */
@@ -100,6 +358,7 @@ export class ZoneManager {
         return {
             totalZones: this.config.zones.length,
             enabledZones: enabledZones.length,
+            interferenceZones: enabledZones.filter(z => z.zoneType === 'interference').length,
             mode: this.config.type === 0 ? 'disabled' :
                   this.config.type === 1 ? 'detection' : 'filter'
         };
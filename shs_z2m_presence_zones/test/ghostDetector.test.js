@@ -0,0 +1,99 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { GhostDetector } from '../src/ghostDetector.js';
+
+const MINUTE = 60 * 1000;
+
+// Feed a frame every 10 s from `from` to `to` (ms)
+function feed(detector, targets, from, to, presence = null) {
+    for (let time = from; time <= to; time += 10000) {
+        detector.addFrame(targets, time, presence);
+    }
+}
+
+describe('GhostDetector tracks', () => {
+    test('matches targets within the radius to one track', () => {
+        const detector = new GhostDetector();
+        detector.addFrame([{ x: 0, y: 1000 }], 0);
+        detector.addFrame([{ x: 300, y: 1300 }], 1000);
+
+        assert.equal(detector.tracks.length, 1);
+        assert.equal(detector.tracks[0].count, 2);
+    });
+
+    test('starts a new track beyond the radius', () => {
+        const detector = new GhostDetector();
+        detector.addFrame([{ x: 0, y: 1000 }], 0);
+        detector.addFrame([{ x: 600, y: 1000 }], 1000);
+
+        assert.equal(detector.tracks.length, 2);
+    });
+
+    test('forgets a track that moved on', () => {
+        const detector = new GhostDetector();
+        detector.addFrame([{ x: 0, y: 1000 }], 0);
+        detector.addFrame([], 31000);
+
+        assert.equal(detector.tracks.length, 0);
+    });
+});
+
+describe('GhostDetector ghosts', () => {
+    const SPOT = [{ x: 1000, y: 2000 }];
+
+    test('flags a still target after 5 minutes while presence is off', () => {
+        const detector = new GhostDetector();
+        feed(detector, SPOT, 0, 4 * MINUTE, false);
+        assert.equal(detector.getGhosts().length, 0);
+
+        feed(detector, SPOT, 4 * MINUTE + 10000, 5 * MINUTE, false);
+        const ghosts = detector.getGhosts();
+        assert.equal(ghosts.length, 1);
+        assert.equal(ghosts[0].x, 1000);
+        assert.equal(ghosts[0].absentShare, 1);
+    });
+
+    test('does not flag a still target while presence is on', () => {
+        const detector = new GhostDetector();
+        feed(detector, SPOT, 0, 30 * MINUTE, true);
+
+        assert.equal(detector.getGhosts().length, 0);
+    });
+
+    test('flags a still target after 20 minutes without a presence report', () => {
+        const detector = new GhostDetector();
+        feed(detector, SPOT, 0, 19 * MINUTE);
+        assert.equal(detector.getGhosts().length, 0);
+
+        feed(detector, SPOT, 19 * MINUTE + 10000, 20 * MINUTE);
+        assert.equal(detector.getGhosts().length, 1);
+        assert.equal(detector.getGhosts()[0].absentShare, null);
+    });
+
+    test('keeps a ghost through a short gap and finds it again', () => {
+        const detector = new GhostDetector();
+        feed(detector, SPOT, 0, 5 * MINUTE, false);
+        feed(detector, [], 5 * MINUTE + 10000, 8 * MINUTE);
+        assert.equal(detector.getGhosts().length, 1);
+
+        detector.addFrame(SPOT, 8 * MINUTE + 10000, false);
+        assert.equal(detector.tracks.length, 1);
+    });
+
+    test('forgets a ghost once nothing was at the spot for the expiry time', () => {
+        const detector = new GhostDetector();
+        feed(detector, SPOT, 0, 5 * MINUTE, false);
+        feed(detector, [], 5 * MINUTE + 10000, 15 * MINUTE + 10000);
+
+        assert.equal(detector.getGhosts().length, 0);
+        assert.equal(detector.tracks.length, 0);
+    });
+
+    test('stops flagging a dismissed ghost', () => {
+        const detector = new GhostDetector();
+        feed(detector, SPOT, 0, 5 * MINUTE, false);
+        detector.dismiss(detector.getGhosts()[0].id);
+
+        assert.equal(detector.getGhosts().length, 0);
+    });
+});
@@ -0,0 +1,97 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { Heatmap } from '../src/heatmap.js';
+
+const TARGET = { x: 50, y: 50 };
+
+describe('Heatmap window', () => {
+    test('credits each frame with the time until the next one', () => {
+        const heatmap = new Heatmap();
+        heatmap.addFrame([TARGET], 0);
+        heatmap.addFrame([TARGET], 1000);
+        heatmap.addFrame([], 3000);
+
+        assert.equal(heatmap.getMaxDwell(), 3000);
+    });
+
+    test('expires dwell time that falls out of the window', () => {
+        const heatmap = new Heatmap();
+        heatmap.setWindow(5000);
+        heatmap.addFrame([TARGET], 0);
+        heatmap.addFrame([], 1000);
+        heatmap.addFrame([], 7000);
+
+        assert.equal(heatmap.getMaxDwell(), 0);
+        assert.deepEqual(heatmap.getCells(), []);
+    });
+
+    test('expires dwell time collected without a window once one is set', () => {
+        const heatmap = new Heatmap();
+        heatmap.addFrame([TARGET], 0);
+        heatmap.addFrame([], 1000);
+        heatmap.addFrame([{ x: 1050, y: 1050 }], 9000);
+        heatmap.addFrame([], 10000);
+
+        heatmap.setWindow(5000);
+
+        assert.equal(heatmap.getMaxDwell(), 1000);
+        assert.equal(heatmap.getCells().length, 1);
+        assert.equal(heatmap.getCells()[0].x, 1000);
+    });
+});
+
+describe('Heatmap zone suggestions', () => {
+    // Keep each target at its spot for a time (ms), one after another
+    function dwell(spots) {
+        const heatmap = new Heatmap();
+        let time = 0;
+        spots.forEach(({ x, y, ms }) => {
+            heatmap.addFrame([{ x, y }], time);
+            time += ms;
+            heatmap.addFrame([], time);
+        });
+        return heatmap;
+    }
+
+    test('suggests a rectangle around one busy spot', () => {
+        const heatmap = dwell([{ x: 50, y: 1050, ms: 10000 }]);
+
+        assert.deepEqual(heatmap.suggestZones(), [{ x1: -200, y1: 800, x2: 300, y2: 1300, share: 1 }]);
+    });
+
+    test('suggests two spots far apart separately, busiest first', () => {
+        const heatmap = dwell([
+            { x: -2050, y: 1050, ms: 5000 },
+            { x: 2050, y: 4050, ms: 10000 }
+        ]);
+        const suggestions = heatmap.suggestZones();
+
+        assert.equal(suggestions.length, 2);
+        assert.deepEqual(suggestions.map(({ x1, y1 }) => [x1, y1]), [[1800, 3800], [-2300, 800]]);
+        assert.deepEqual(suggestions.map(s => Math.round(s.share * 3)), [2, 1]);
+    });
+
+    test('leaves out spots below the threshold', () => {
+        const heatmap = dwell([
+            { x: 50, y: 1050, ms: 10000 },
+            { x: 1550, y: 3050, ms: 1000 }
+        ]);
+
+        assert.equal(heatmap.suggestZones().length, 1);
+        assert.equal(heatmap.suggestZones([], { minShare: 0.95 }).length, 0);
+    });
+
+    test('clamps suggestions to the sensor range', () => {
+        const heatmap = dwell([{ x: -2950, y: 50, ms: 10000 }]);
+
+        assert.deepEqual(heatmap.suggestZones(), [{ x1: -3000, y1: 0, x2: -2700, y2: 300, share: 1 }]);
+    });
+
+    test('skips spots an enabled zone already covers', () => {
+        const heatmap = dwell([{ x: 50, y: 1050, ms: 10000 }]);
+        const zone = { enabled: true, x1: -500, y1: 500, x2: 500, y2: 1500 };
+
+        assert.deepEqual(heatmap.suggestZones([zone]), []);
+        assert.equal(heatmap.suggestZones([{ ...zone, enabled: false }]).length, 1);
+    });
+});
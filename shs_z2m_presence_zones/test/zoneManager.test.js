@@ -0,0 +1,249 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { ZoneManager } from '../src/zoneManager.js';
+
+const OFF = 0;
+const INCLUDE = 1;
+const EXCLUDE = 2;
+
+// Triangle whose bounding box (x 0..2000, y 1000..3000) is larger than the shape
+const TRIANGLE = [
+    { x: 0, y: 1000 },
+    { x: 2000, y: 1000 },
+    { x: 0, y: 3000 }
+];
+
+const POINTS = {
+    inPolygon: { x: 500, y: 1500 },   // Inside the triangle
+    inBoundingBox: { x: 1800, y: 2800 }, // Inside the bounding box only
+    outside: { x: -1500, y: 4000 }
+};
+
+function makeZones(zoneType) {
+    const disabled = { enabled: false, shapeType: 'rectangle', x1: -1500, y1: 0, x2: 1500, y2: 3000, vertices: null, zoneType: 'detection' };
+    return [
+        { enabled: true, shapeType: 'polygon', x1: 0, y1: 1000, x2: 2000, y2: 3000, vertices: TRIANGLE, zoneType },
+        { ...disabled },
+        { ...disabled },
+        { ...disabled },
+        { ...disabled }
+    ];
+}
+
+// Expected result for a single target at [inPolygon, inBoundingBox, outside]:
+// detected (counts towards presence) and zone 1 occupied
+const CASES = [
+    { mode: OFF, zoneType: 'detection', geometry: 'polygon', detected: [true, true, true], occupied: [true, false, false] },
+    { mode: OFF, zoneType: 'detection', geometry: 'device', detected: [true, true, true], occupied: [true, true, false] },
+    { mode: OFF, zoneType: 'interference', geometry: 'polygon', detected: [true, true, true], occupied: [false, false, false] },
+    { mode: OFF, zoneType: 'interference', geometry: 'device', detected: [true, true, true], occupied: [false, false, false] },
+
+    { mode: INCLUDE, zoneType: 'detection', geometry: 'polygon', detected: [true, false, false], occupied: [true, false, false] },
+    { mode: INCLUDE, zoneType: 'detection', geometry: 'device', detected: [true, true, false], occupied: [true, true, false] },
+    { mode: INCLUDE, zoneType: 'interference', geometry: 'polygon', detected: [false, false, false], occupied: [false, false, false] },
+    { mode: INCLUDE, zoneType: 'interference', geometry: 'device', detected: [false, false, false], occupied: [false, false, false] },
+
+    { mode: EXCLUDE, zoneType: 'detection', geometry: 'polygon', detected: [false, true, true], occupied: [true, false, false] },
+    { mode: EXCLUDE, zoneType: 'detection', geometry: 'device', detected: [false, false, true], occupied: [true, true, false] },
+    { mode: EXCLUDE, zoneType: 'interference', geometry: 'polygon', detected: [false, true, true], occupied: [false, false, false] },
+    { mode: EXCLUDE, zoneType: 'interference', geometry: 'device', detected: [false, false, true], occupied: [false, false, false] }
+];
+
+const MODE_NAMES = ['Off', 'Include', 'Exclude'];
+
+describe('ZoneManager.evaluateTargets', () => {
+    const zoneManager = new ZoneManager({ type: OFF, zones: [] });
+
+    CASES.forEach(({ mode, zoneType, geometry, detected, occupied }) => {
+        Object.entries(POINTS).forEach(([name, point], i) => {
+            test(`${MODE_NAMES[mode]} / ${zoneType} / ${geometry}: target ${name}`, () => {
+                const result = zoneManager.evaluateTargets([point], { type: mode, zones: makeZones(zoneType) }, { geometry });
+
+                assert.equal(result.targets[0].detected, detected[i]);
+                assert.equal(result.occupancy, detected[i]);
+                assert.deepEqual(result.zoneOccupied, [occupied[i], false, false, false, false]);
+            });
+        });
+    });
+
+    test('ignores empty target slots at 0,0', () => {
+        const result = zoneManager.evaluateTargets([{ x: 0, y: 0 }, { x: 500, y: 1500 }], { type: OFF, zones: makeZones('detection') });
+
+        assert.equal(result.targets.length, 1);
+        assert.equal(result.targets[0].index, 1);
+    });
+
+    test('interference overrides a detection zone it overlaps', () => {
+        const zones = makeZones('detection');
+        zones[1] = { enabled: true, shapeType: 'rectangle', x1: 0, y1: 1000, x2: 1000, y2: 2000, vertices: null, zoneType: 'interference' };
+        const result = zoneManager.evaluateTargets([{ x: 500, y: 1500 }], { type: INCLUDE, zones });
+
+        assert.deepEqual(result.targets[0].zones, [0, 1]);
+        assert.equal(result.targets[0].interference, true);
+        assert.equal(result.occupancy, false);
+        assert.deepEqual(result.zoneOccupied, [false, false, false, false, false]);
+    });
+
+    test('ignores disabled zones', () => {
+        const zones = makeZones('detection');
+        zones[0].enabled = false;
+        const result = zoneManager.evaluateTargets([{ x: 500, y: 1500 }], { type: INCLUDE, zones });
+
+        assert.deepEqual(result.targets[0].zones, []);
+        assert.equal(result.occupancy, false);
+    });
+
+    test('uses the constructor config by default', () => {
+        const configured = new ZoneManager({ type: INCLUDE, zones: makeZones('detection') });
+
+        assert.equal(configured.evaluateTargets([{ x: 1800, y: 2800 }]).occupancy, true);
+    });
+});
+
+describe('ZoneManager.filterTargets', () => {
+    test('keeps the targets that count, in their original form', () => {
+        const zoneManager = new ZoneManager({ type: EXCLUDE, zones: makeZones('detection') });
+        const inside = { x: 500, y: 1500, distance: 1581 };
+        const outside = { x: -1500, y: 4000, distance: 4272 };
+
+        assert.deepEqual(zoneManager.filterTargets([inside, outside]), [outside]);
+        assert.equal(zoneManager.shouldDetectTarget(inside), false);
+        assert.equal(zoneManager.shouldDetectTarget(outside), true);
+    });
+});
+
+describe('ZoneManager.pullDeviceZones', () => {
+    const zoneManager = new ZoneManager({ type: OFF, zones: [] });
+
+    test('keeps drift visible after editing a pulled zone', () => {
+        const config = { type: OFF, zones: makeZones('detection') };
+        const device = zoneManager.parseZoneConfigPayload({
+            zone_config: { zone_type: 'include', zone2_enabled: true, zone2_type: 'detection', zone2_x1: -1000, zone2_y1: 500, zone2_x2: 1000, zone2_y2: 2500 }
+        });
+
+        zoneManager.pullDeviceZones(config, device);
+        assert.equal(config.type, INCLUDE);
+        assert.deepEqual(zoneManager.diffDeviceZones(config, device), []);
+
+        config.zones[1].x2 = 1500;
+        assert.equal(device.zones[1].x2, 1000);
+        assert.deepEqual(zoneManager.diffDeviceZones(config, device), ['Zone 2']);
+    });
+
+    test('keeps the polygon of a zone that already matches', () => {
+        const config = { type: OFF, zones: makeZones('detection') };
+        const device = zoneManager.parseZoneConfigPayload({ zone1_enabled: true, zone1_type: 'detection', zone1_x1: 0, zone1_y1: 1000, zone1_x2: 2000, zone1_y2: 3000 });
+
+        zoneManager.pullDeviceZones(config, device);
+        assert.equal(config.zones[0].shapeType, 'polygon');
+    });
+});
+
+describe('ZoneManager.parseZoneConfigPayload', () => {
+    const zoneManager = new ZoneManager({ type: OFF, zones: [] });
+
+    const CASES = [
+        { name: 'null', data: null },
+        { name: 'a number', data: 42 },
+        { name: 'a string', data: 'online' },
+        { name: 'an array', data: [] },
+        { name: 'a state without zone settings', data: { occupancy: true } }
+    ];
+
+    CASES.forEach(({ name, data }) => {
+        test(`returns null for ${name}`, () => {
+            assert.equal(zoneManager.parseZoneConfigPayload(data), null);
+        });
+    });
+
+    test('reads zone settings from zone_config or the top level', () => {
+        const nested = zoneManager.parseZoneConfigPayload({ zone_config: { zone_type: 'exclude', zone1_enabled: 'ON', zone1_x1: '-500', zone1_y1: 0, zone1_x2: 500, zone1_y2: 1000 } });
+        const flat = zoneManager.parseZoneConfigPayload({ zone_type: 2, zone1_enabled: true, zone1_x1: -500, zone1_y1: 0, zone1_x2: 500, zone1_y2: 1000 });
+
+        assert.deepEqual(nested, flat);
+        assert.equal(nested.type, EXCLUDE);
+        assert.equal(nested.zones[0].x1, -500);
+        assert.equal(nested.zones[1], null);
+    });
+});
+
+describe('ZoneManager.decomposeRectilinearPolygon', () => {
+    const zoneManager = new ZoneManager({ type: OFF, zones: [] });
+    const toVertices = (points) => points.map(([x, y]) => ({ x, y }));
+
+    const CASES = [
+        {
+            name: 'a plain rectangle',
+            vertices: [[-1000, 0], [1000, 0], [1000, 2000], [-1000, 2000]],
+            rectangles: [{ x1: -1000, y1: 0, x2: 1000, y2: 2000 }]
+        },
+        {
+            name: 'an L-shape',
+            vertices: [[0, 0], [2000, 0], [2000, 1000], [1000, 1000], [1000, 3000], [0, 3000]],
+            rectangles: [
+                { x1: 0, y1: 0, x2: 2000, y2: 1000 },
+                { x1: 0, y1: 1000, x2: 1000, y2: 3000 }
+            ]
+        },
+        {
+            name: 'a U-shape',
+            vertices: [[0, 0], [3000, 0], [3000, 3000], [2000, 3000], [2000, 1000], [1000, 1000], [1000, 3000], [0, 3000]],
+            rectangles: [
+                { x1: 0, y1: 0, x2: 3000, y2: 1000 },
+                { x1: 0, y1: 1000, x2: 1000, y2: 3000 },
+                { x1: 2000, y1: 1000, x2: 3000, y2: 3000 }
+            ]
+        },
+        {
+            name: 'a shape that splits into fewer columns than rows',
+            vertices: [[0, 0], [1000, 0], [1000, 1000], [2000, 1000], [2000, 2000], [1000, 2000], [1000, 3000], [0, 3000]],
+            rectangles: [
+                { x1: 0, y1: 0, x2: 1000, y2: 3000 },
+                { x1: 1000, y1: 1000, x2: 2000, y2: 2000 }
+            ]
+        },
+        {
+            name: 'a staircase needing more than 5 rectangles',
+            vertices: [[0, 0], [600, 0], [600, 100], [500, 100], [500, 200], [400, 200], [400, 300], [300, 300],
+                [300, 400], [200, 400], [200, 500], [100, 500], [100, 600], [0, 600]],
+            rectangles: [
+                { x1: 0, y1: 0, x2: 600, y2: 100 },
+                { x1: 0, y1: 100, x2: 500, y2: 200 },
+                { x1: 0, y1: 200, x2: 400, y2: 300 },
+                { x1: 0, y1: 300, x2: 300, y2: 400 },
+                { x1: 0, y1: 400, x2: 200, y2: 500 },
+                { x1: 0, y1: 500, x2: 100, y2: 600 }
+            ]
+        },
+        {
+            name: 'a non-rectilinear polygon',
+            vertices: [[0, 0], [1000, 1000], [0, 2000], [-1000, 1000]],
+            rectangles: []
+        },
+        {
+            name: 'a triangle',
+            vertices: TRIANGLE.map(({ x, y }) => [x, y]),
+            rectangles: []
+        }
+    ];
+
+    CASES.forEach(({ name, vertices, rectangles }) => {
+        test(`splits ${name}`, () => {
+            assert.deepEqual(zoneManager.decomposeRectilinearPolygon(toVertices(vertices)), rectangles);
+        });
+    });
+
+    test('covers the polygon area exactly', () => {
+        CASES.forEach(({ vertices }) => {
+            const rectangles = zoneManager.decomposeRectilinearPolygon(toVertices(vertices));
+            if (rectangles.length === 0) return;
+            // Shoelace formula
+            const area = Math.abs(vertices.reduce((sum, [x, y], i) => {
+                const [nx, ny] = vertices[(i + 1) % vertices.length];
+                return sum + x * ny - nx * y;
+            }, 0)) / 2;
+            const covered = rectangles.reduce((sum, r) => sum + (r.x2 - r.x1) * (r.y2 - r.y1), 0);
+            assert.equal(covered, area);
+        });
+    });
+});